@@ -2,48 +2,45 @@
 
 const Hapi = require('hapi');
 const hapiHooks = require('../');
-const server = new Hapi.Server();
-
-server.connection({ port: 8080 });
+const server = new Hapi.Server({ port: 8080 });
 
 server.route({
   method: 'GET',
   path: '/',
-  handler(req, reply) {
-    reply('Hi There');
+  handler(request, h) {
+    return 'Hi There';
   }
 });
 
-server.method('playSoftball', (data, next) => {
+server.method('playSoftball', async (data) => {
   console.log('Play Ball!'); // eslint-disable-line no-console
-  next(null);
+  await new Promise(resolve => setTimeout(resolve, 100));
 });
 
-server.register({
-  register: hapiHooks,
-  options: {
-    log: true,
-    interval: 700,
-    hooks: {
-      'after:school': [
-        'playSoftball'
-      ]
-    },
-    recurring: {
-      doAfterSchool: {
-        hook: 'after:school',
-        schedule: 'every 5 minutes'
+const start = async () => {
+  await server.register({
+    plugin: hapiHooks,
+    options: {
+      log: true,
+      interval: 700,
+      hooks: {
+        'after:school': [
+          'playSoftball'
+        ]
+      },
+      recurring: {
+        doAfterSchool: {
+          hook: 'after:school',
+          schedule: 'every 5 minutes'
+        }
       }
     }
-  }
-}, (err) => {
-  if (err) {
-    throw err;
-  }
-  server.start(startErr => {
-    if (startErr) {
-      throw startErr;
-    }
-    console.log(`Server running at: ${server.info.uri}`); // eslint-disable-line no-console
   });
+
+  await server.start();
+  console.log(`Server running at: ${server.info.uri}`); // eslint-disable-line no-console
+};
+
+start().catch(err => {
+  throw err;
 });
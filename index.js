@@ -1,9 +1,25 @@
 /* eslint-disable no-underscore-dangle */
-const mongo = require('mongodb');
-const async = require('async');
+const os = require('os');
 const queryHooks = require('./lib/queryHooks.js');
 const hook = require('./lib/hook.js');
 const retry = require('./lib/retry.js');
+const requeue = require('./lib/requeue.js');
+const routes = require('./lib/routes.js');
+const metrics = require('./lib/metrics.js');
+const cancel = require('./lib/cancel.js');
+const pause = require('./lib/pause.js');
+const resume = require('./lib/resume.js');
+const reconcile = require('./lib/reconcile.js');
+const purge = require('./lib/purge.js');
+const parseSchedule = require('./lib/methods/parseSchedule.js');
+const catchUpPolicy = require('./lib/methods/catchUpPolicy.js');
+const checkRateLimits = require('./lib/methods/checkRateLimits.js');
+const checkChains = require('./lib/methods/checkChains.js');
+const checkDedupe = require('./lib/methods/checkDedupe.js');
+const checkHttpActions = require('./lib/methods/checkHttpActions.js');
+const retentionRules = require('./lib/methods/retentionRules.js');
+const memoryStore = require('./lib/stores/memory.js');
+const mongoStore = require('./lib/stores/mongo.js');
 
 const defaults = {
   mongo: {
@@ -17,106 +33,277 @@ const defaults = {
   batchSize: 0,
   concurrent: 10,
   maxRetries: 3,
+  retry: { // how long to wait before retrying a failed hook
+    policy: 'fixed', // 'fixed', 'linear' or 'exponential'
+    delay: 0,
+    maxDelay: 0,
+    jitter: false
+  },
+  lease: 5 * 60 * 1000, // how long a claimed hook is reserved for this worker, default is 5 minutes
+  heartbeat: 60 * 1000, // how often a processing hook's lease is renewed, set to false to disable
+  workerId: null, // identifies this server when claiming hooks, defaults to hostname:pid
+  onAborted: null, // called with the hook and its errors when a hook runs out of retries
+  deadLetter: false, // a store to move aborted hooks to, true for a '<collectionName>-dead-letter' mongo collection
+  retention: false, // how long to keep finished hooks for each status, eg { complete: '7 days', aborted: { after: '30 days', archive: true } }
+  archive: false, // a store to archive old hooks to, true for a '<collectionName>-archive' mongo collection
+  purgeInterval: 60 * 60 * 1000, // how often old hooks are cleaned up, default is 1 hour
   recurring: {},
-  decorate: false
+  reconcile: true, // mark recurring hooks that are no longer in 'recurring' as removed when the server starts, 'all' also removes ones queued from code
+  decorate: false,
+  routes: false, // set to { prefix, auth } to register the admin routes
+  metrics: false, // set to { path, auth } to serve prometheus metrics
+  store: null, // a store adapter, defaults to a mongo store using the 'mongo' options
+  mode: 'both' // 'producer' only queues hooks, 'worker' and 'both' also run the worker loop that processes them
 };
 
-exports.register = (server, options, next) => {
-  server.event('hook:query'); // passes the outstanding hooks that were found
-  server.event('hook:start'); // passes the hook data to the event handler
-  server.event('hook:complete'); // passes the hook data and result data to the event handler
-
-  const settings = Object.assign({}, defaults, options);
-
-  async.autoInject({
-    db(done) {
-      mongo.connect(settings.mongo.host, done);
-    },
-    collection(db, done) {
-      done(null, db.collection(settings.mongo.collectionName));
-    },
-    index(collection, done) {
-      collection.createIndex({ status: 1 }, { background: true }, done);
-    },
-    decorate(collection, done) {
-      const doHook = (hookName, hookData, hookOptions) => {
-        hook(server, settings, collection, hookName, hookData, hookOptions || {});
-      };
-
-      const doRetry = (hookId, callback) => {
-        retry(server, settings, collection, hookId, (err, response) => {
-          if (err) {
-            return callback(err);
-          }
+const modes = ['producer', 'worker', 'both'];
 
-          callback(err, response.performActions);
-        });
-      };
+// wraps a callback-style function so it returns a promise, unless it is passed a callback as its last argument
+// 'arity' is the number of arguments it takes before the callback, any that are left out are passed as undefined
+const promiseOrCallback = (arity, method) => (...args) => {
+  const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+  while (args.length < arity) {
+    args.push(undefined);
+  }
 
-      if (settings.decorate) {
-        server.decorate('server', 'hook', doHook);
-        server.decorate('server', 'retryHook', doRetry);
-      } else {
-        server.method('hook', doHook);
-        server.method('retryHook', doRetry);
+  const result = new Promise((resolve, reject) => {
+    method(...args, (err, value) => (err ? reject(err) : resolve(value)));
+  });
+
+  // the callback is called outside the promise, so an error it throws isn't turned into an unhandled rejection:
+  if (callback) {
+    result.then(value => setImmediate(() => callback(null, value)), err => setImmediate(() => callback(err)));
+    return;
+  }
+
+  return result;
+};
+
+// calls a callback-style store method and returns a promise
+const storeCall = (store, name) => new Promise((resolve, reject) => {
+  store[name](err => (err ? reject(err) : resolve()));
+});
+
+exports.plugin = {
+  pkg: require('./package.json'),
+  async register(server, options) {
+    server.event('hook:queued'); // passes the id and data of a hook that was added or updated
+    server.event('hook:query'); // passes the outstanding hooks that were found
+    server.event('hook:start'); // passes the hook data to the event handler
+    server.event('hook:complete'); // passes the hook data and result data to the event handler
+    server.event('hook:stalled'); // passes the hook data of a hook whose lease expired while processing
+    server.event('hook:aborted'); // passes the hook data and the errors of every attempt
+    server.event('hook:deferred'); // passes the hook data and results of a run that was put off by a rate limit
+    server.event('hook:purged'); // passes the status, action and number of old hooks that were deleted or archived
+
+    const settings = Object.assign({}, defaults, options);
+    settings.workerId = settings.workerId || `${os.hostname()}:${process.pid}`;
+
+    if (modes.indexOf(settings.mode) === -1) {
+      throw new Error(`Invalid mode '${settings.mode}', expected one of ${modes.join(', ')}`);
+    }
+
+    const store = settings.store || mongoStore(settings.mongo);
+
+    // fail to register rather than finding out about a bad schedule when the server starts:
+    Object.keys(settings.recurring).forEach(hookId => {
+      try {
+        parseSchedule(settings.recurring[hookId].schedule);
+        catchUpPolicy(settings.recurring[hookId].catchUp);
+      } catch (err) {
+        throw new Error(`Recurring hook '${hookId}' has an invalid schedule: ${err.message}`);
       }
+    });
 
-      done();
-    },
-    recurring(decorate, done) {
-      const hookFunction = settings.decorate ? server.hook : server.methods.hook;
-
-      server.ext({
-        type: 'onPostStart',
-        method(serv, cb) {
-          Object.keys(settings.recurring).forEach(hookId => {
-            const hookObj = settings.recurring[hookId];
-            const hookData = hookObj.data || {};
-            hookFunction(hookObj.hook, hookData, {
-              runEvery: hookObj.schedule,
-              hookId
-            });
-          });
-
-          cb();
-        }
-      });
+    checkRateLimits(settings, store);
+    checkChains(settings);
+    checkDedupe(settings);
+    checkHttpActions(settings);
 
-      done();
-    },
-    process(db, collection, done) {
-      let continueProcessing = true;
+    if (settings.deadLetter === true) {
+      settings.deadLetter = mongoStore(Object.assign({}, settings.mongo, {
+        collectionName: `${settings.mongo.collectionName}-dead-letter`
+      }));
+    }
+
+    if (settings.archive === true) {
+      settings.archive = mongoStore(Object.assign({}, settings.mongo, {
+        collectionName: `${settings.mongo.collectionName}-archive`
+      }));
+    }
+
+    retentionRules(settings);
+
+    await storeCall(store, 'init');
+
+    if (settings.deadLetter) {
+      await storeCall(settings.deadLetter, 'init');
+    }
+
+    if (settings.archive) {
+      await storeCall(settings.archive, 'init');
+    }
 
-      server.ext({
-        type: 'onPreStop',
-        method: (request, cb) => {
-          continueProcessing = false;
-          db.close(false, cb);
+    const queueHook = promiseOrCallback(3, (hookName, hookData, hookOptions, done) => {
+      hook(server, settings, store, hookName, hookData, hookOptions || {}, done);
+    });
+
+    // returns a promise for the id of the queued hook, or calls back with it:
+    const doHook = (...args) => {
+      const queued = queueHook(...args);
+
+      // errors are already logged, so callers that don't wait for the hook to be queued don't need to handle them:
+      if (queued) {
+        queued.catch(() => {});
+      }
+
+      return queued;
+    };
+
+    const doRetry = promiseOrCallback(2, (hookId, retryOptions, done) => {
+      retry(server, settings, store, hookId, retryOptions || {}, (err, response) => {
+        if (err) {
+          return done(err);
         }
+
+        done(null, response.performActions);
       });
+    });
+
+    // aborted hooks, from the dead letter store if there is one:
+    const doDeadLetters = promiseOrCallback(2, (query, findOptions, done) => {
+      (settings.deadLetter || store).find(Object.assign({}, query, { status: 'aborted' }), findOptions || {}, done);
+    });
+
+    const doRequeue = promiseOrCallback(1, (query, done) => {
+      requeue(server, settings, store, query, done);
+    });
 
-      const timer = () => {
-        if (!continueProcessing) {
-          return;
+    // cancel, pause and resume the active hook with a given hookId:
+    const byHookId = method => promiseOrCallback(1, (hookId, done) => {
+      // a missing hookId would match every hook without one:
+      if (typeof hookId !== 'string' || !hookId) {
+        return done(new Error('hookId must be a non-empty string'));
+      }
+
+      method(server, settings, store, { hookId }, done);
+    });
+
+    let running = false;
+    let stopping = false;
+    let nextQuery;
+    let lastPurge = 0;
+
+    const timer = () => {
+      if (!running) {
+        return;
+      }
+
+      queryHooks(server, settings, store, (err) => {
+        if (err) {
+          server.log(['hapi-hooks', 'error'], err);
         }
+      });
 
-        queryHooks(server, settings, collection, (err) => {
+      if (settings.retention && new Date().getTime() - lastPurge >= settings.purgeInterval) {
+        lastPurge = new Date().getTime();
+        purge(server, settings, store, (err) => {
           if (err) {
             server.log(['hapi-hooks', 'error'], err);
           }
         });
+      }
+
+      nextQuery = setTimeout(timer, settings.interval);
+    };
+
+    // start and stop polling for hooks, resolving to false if the worker loop was already running or stopped:
+    const startWorker = promiseOrCallback(0, done => {
+      if (stopping) {
+        return done(new Error('Unable to start the worker loop, the server is stopping'));
+      }
+
+      if (running) {
+        return done(null, false);
+      }
+
+      running = true;
+      timer();
+      done(null, true);
+    });
+
+    // hooks that are already processing still finish:
+    const stopWorker = promiseOrCallback(0, done => {
+      if (!running) {
+        return done(null, false);
+      }
 
-        if (continueProcessing) {
-          setTimeout(timer, settings.interval);
+      running = false;
+      clearTimeout(nextQuery);
+      done(null, true);
+    });
+
+    const methods = {
+      hook: doHook,
+      retryHook: doRetry,
+      cancelHook: byHookId(cancel),
+      pauseHook: byHookId(pause),
+      resumeHook: byHookId(resume),
+      deadLetters: doDeadLetters,
+      requeueDeadLetters: doRequeue,
+      startWorker,
+      stopWorker
+    };
+
+    Object.keys(methods).forEach(name => {
+      if (settings.decorate) {
+        server.decorate('server', name, methods[name]);
+      } else {
+        server.method(name, methods[name]);
+      }
+    });
+
+    if (settings.routes) {
+      routes(server, settings, store);
+    }
+
+    if (settings.metrics) {
+      metrics(server, settings);
+    }
+
+    server.ext('onPostStart', () => {
+      reconcile(server, settings, store, err => {
+        if (err) {
+          server.log(['hapi-hooks', 'error'], { error: err.message, message: 'Unable to reconcile recurring hooks' });
         }
-      };
+      });
+    });
+
+    server.ext('onPreStop', async () => {
+      stopping = true;
+      running = false;
+      clearTimeout(nextQuery);
+
+      await storeCall(store, 'close');
+
+      if (settings.deadLetter) {
+        await storeCall(settings.deadLetter, 'close');
+      }
+
+      if (settings.archive) {
+        await storeCall(settings.archive, 'close');
+      }
+    });
 
+    // producers only queue hooks, unless their worker loop is started with startWorker:
+    if (settings.mode !== 'producer') {
+      running = true;
       timer();
-      done();
     }
-  }, next);
+  }
 };
 
-exports.register.attributes = {
-  pkg: require('./package.json')
+exports.stores = {
+  memory: memoryStore,
+  mongo: mongoStore
 };
@@ -0,0 +1,6 @@
+const transition = require('./methods/transition');
+
+// cancels a hook so it is never run (or, if it is running now, repeated) again
+module.exports = (server, settings, store, query, allDone) => {
+  transition(server, settings, store, query, ['waiting', 'failed', 'paused', 'processing'], () => 'cancelled', allDone);
+};
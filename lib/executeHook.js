@@ -2,107 +2,295 @@ const async = require('async');
 const get = require('lodash.get');
 const str2fn = require('str2fn');
 
+const callMethod = require('./methods/callMethod');
 const formatError = require('./methods/formatError');
-const setStatus = require('./methods/setStatus');
+const hookConfig = require('./methods/hookConfig');
+const retryDelay = require('./methods/retryDelay');
+const abortHook = require('./methods/abortHook');
 const logComplete = require('./methods/logComplete');
+const catchUp = require('./methods/catchUp');
+const validateData = require('./methods/validateData');
+const chainHooks = require('./methods/chainHooks');
+const actionName = require('./methods/actionName');
+const httpAction = require('./methods/httpAction');
 
 // returns an async autoInject object that will execute the hooks
-module.exports = function(server, settings, collection, hook) {
+// actions that succeeded on a previous attempt are skipped unless 'rerunAll' is set
+module.exports = function(server, settings, store, hook, options) {
+  const config = hookConfig(settings, hook.hookName) || { actions: [] };
+  // the most specific setting wins, eg an action's timeout over its hook's over the global one:
+  const setting = (name, ...overrides) => overrides.concat(settings[name]).find(value => typeof value !== 'undefined');
+  const maxRetries = setting('maxRetries', config.maxRetries);
+  const rerunAll = Boolean((options && options.rerunAll) || config.rerunAll);
+  // a run where some actions were put off by their rate limit, and none failed, goes back to 'waiting':
+  const isDeferred = performed => performed.status !== 'failed' && typeof performed.deferred === 'number';
+
   return {
     checkRetryCount(done) {
-      if (!hook.runCount || hook.runCount < settings.maxRetries) {
+      if (!hook.runCount || hook.runCount < maxRetries) {
         return done();
       }
 
-      setStatus(server, settings, collection, hook, 'aborted', () => done('Max retries. Aborting'));
+      abortHook(server, settings, store, hook, () => done('Max retries. Aborting'));
     },
-    setProcessing(checkRetryCount, done) {
-      setStatus(server, settings, collection, hook, 'processing', done);
+    heartbeat(checkRetryCount, done) {
+      if (!settings.heartbeat || !hook.leaseExpires) {
+        return done();
+      }
+
+      // keep extending the lease so the hook isn't treated as stalled while it runs:
+      const timer = setInterval(() => {
+        store.update(hook._id, { leaseExpires: new Date(new Date().getTime() + settings.lease) }, err => {
+          if (err) {
+            server.log(['hapi-hooks', 'error'], { error: err, name: hook.hookName });
+          }
+        });
+      }, settings.heartbeat);
+
+      done(null, timer);
     },
-    performActions(setProcessing, done) {
+    performActions(heartbeat, done) {
       const updateHook = {
         results: []
       };
+      // results are stored in the same order as the actions, so a retry can tell which ones already succeeded:
+      const previousResults = (!rerunAll && hook.results) || [];
 
-      async.eachLimit(settings.hooks[hook.hookName], settings.concurrent, (action, eachDone) => {
-        let actionData = hook.hookData;
+      // 'series' and 'pipeline' hooks run their actions one at a time and stop at the first failure,
+      // 'pipeline' actions also get the output of the previous action merged into their data:
+      const mode = config.mode || 'parallel';
+      const sequential = mode === 'series' || mode === 'pipeline';
+      let hookData = hook.hookData;
+
+      async.eachOfLimit(config.actions, sequential ? 1 : setting('concurrent', config.concurrent), (action, index, eachDone) => {
+        let actionData = hookData;
+        let timeout = setting('timeout', config.timeout);
+        let rateLimit;
+        let http;
 
         if (typeof action === 'object') {
-          actionData = Object.assign(action.data, actionData);
-          action = action.method;
+          actionData = Object.assign({}, action.data, actionData);
+          timeout = setting('timeout', action.timeout, config.timeout);
+          rateLimit = action.rateLimit;
+          http = action.http;
+          action = actionName(action);
         }
 
-        if (typeof action === 'string' && action.indexOf('(') !== -1) {
-          return str2fn.execute(action, server.methods, Object.assign({}, hook.hookData), (error, output) => {
-            if (error) {
-              updateHook.results.push({ action, error: formatError(error) });
-              updateHook.status = 'failed';
-            } else {
-              updateHook.results.push({ action, output });
-            }
+        const next = (output) => {
+          if (sequential && (updateHook.status === 'failed' || typeof updateHook.deferred === 'number')) {
+            return eachDone('failed');
+          }
 
-            eachDone();
-          });
-        }
+          if (mode === 'pipeline' && output && typeof output === 'object' && !Array.isArray(output)) {
+            hookData = Object.assign({}, hookData, output);
+          }
 
-        let actionCall = get(server.methods, action);
+          eachDone();
+        };
 
-        if (settings.timeout) {
-          actionCall = async.timeout(get(server.methods, action), settings.timeout);
+        const previous = previousResults[index];
+        if (previous && previous.action === action && !previous.error && !previous.notRun && !previous.deferred) {
+          updateHook.results[index] = { action, output: previous.output, skipped: true };
+          return next(previous.output);
         }
 
-        actionCall(actionData, (error, output) => {
+        const started = new Date().getTime();
+        const record = (error, output) => {
+          const duration = new Date().getTime() - started;
+
           // will log async's ETIMEDOUT error, as well as other errors for this action:
           if (error) {
-            updateHook.results.push({ action, error: formatError(error) });
+            updateHook.results[index] = { action, error: formatError(error), duration };
             updateHook.status = 'failed';
           } else {
-            updateHook.results.push({ action, output });
+            updateHook.results[index] = { action, output, duration };
+          }
+
+          next(output);
+        };
+
+        let actionCall;
+
+        if (http) {
+          // webhooks are sent with the action's data, the response body is the output:
+          actionCall = (data, callback) => httpAction(http, data, timeout, callback);
+        } else if (typeof action === 'string' && action.indexOf('(') !== -1) {
+          // let str2fn call the method through callMethod, so it can also return a promise:
+          const name = action.split('(')[0];
+          const method = get(server.methods, name);
+          const methods = method ? name.split('.').reduceRight((memo, key) => ({ [key]: memo }), (...args) => callMethod(method, args.slice(0, -1), args[args.length - 1])) : server.methods;
+
+          actionData = Object.assign({}, hookData);
+          actionCall = (data, callback) => str2fn.execute(action, methods, data, callback);
+        } else {
+          const method = get(server.methods, action);
+
+          if (typeof method !== 'function') {
+            return record(new Error(`Method ${action} does not exist`));
+          }
+
+          actionCall = (data, callback) => callMethod(method, [data], callback);
+        }
+
+        // check the data each action is actually called with, after its defaults and any pipeline output are merged in:
+        if (config.validate && config.validateActions) {
+          const result = validateData(config.validate, actionData, `Invalid data for action '${action}'`);
+
+          if (result.error) {
+            return record(result.error);
+          }
+
+          actionData = result.value;
+        }
+
+        if (timeout) {
+          actionCall = async.timeout(actionCall, timeout);
+        }
+
+        if (!rateLimit) {
+          return actionCall(actionData, record);
+        }
+
+        // calls are counted per method, across every hook (and every server sharing the store):
+        store.rateLimit(action.split('(')[0], rateLimit, (err, limited) => {
+          if (err) {
+            return record(err);
+          }
+
+          // an action over its limit is put off until there is room, it isn't counted as a failure:
+          if (!limited.allowed) {
+            updateHook.results[index] = { action, deferred: true };
+            updateHook.deferred = Math.max(updateHook.deferred || 0, limited.retryAfter);
+            return next();
           }
 
-          return eachDone();
+          actionCall(actionData, record);
         });
       }, () => {
+        // actions that never ran after a failure or a deferred action still need to run on a retry:
+        config.actions.forEach((action, index) => {
+          if (!updateHook.results[index]) {
+            updateHook.results[index] = { action: actionName(action), notRun: true };
+          }
+        });
+
         done(null, updateHook);
       });
     },
-    completeHooks(performActions, done) {
+    completeHooks(performActions, heartbeat, done) {
+      clearInterval(heartbeat);
+
       const updateHook = {
         results: performActions.results,
         status: (performActions.status === 'failed') ? 'failed' : 'complete',
-        completedOn: new Date()
+        completedOn: new Date(),
+        runCount: (hook.runCount || 0) + 1,
+        leaseExpires: null
       };
 
+      // deferred hooks run again once their rate limits allow it, without using up an attempt:
+      if (isDeferred(performActions)) {
+        updateHook.status = 'waiting';
+        updateHook.runAfter = new Date(new Date().getTime() + performActions.deferred);
+        updateHook.runCount = hook.runCount || 0;
+        delete updateHook.completedOn;
+      }
+
+      // push failed hooks back according to the retry policy and keep the errors of every attempt:
+      if (updateHook.status === 'failed') {
+        updateHook.errors = (hook.errors || []).concat(performActions.results
+          .filter(result => typeof result.error !== 'undefined')
+          .map(result => ({ attempt: updateHook.runCount, date: updateHook.completedOn, action: result.action, error: result.error })));
+
+        // there is no point waiting if it has run out of retries, it is aborted once it is stored:
+        if (updateHook.runCount < maxRetries) {
+          const delay = Math.max(retryDelay(Object.assign({}, settings.retry, config.retry), updateHook.runCount), performActions.deferred || 0);
+          updateHook.runAfter = new Date(new Date().getTime() + delay);
+        }
+      }
+
       async.autoInject({
-        update(next) {
-          collection.update({ _id: hook._id }, {
-            $set: updateHook,
-            $inc: {
-              runCount: 1
-            }
-          }, next);
+        // the hook may have been cancelled, removed or paused while it was running:
+        current(next) {
+          store.find({ _id: hook._id }, { limit: 1 }, (err, hooks) => next(err, hooks && hooks.length ? hooks[0].status : null));
+        },
+        update(current, next) {
+          if (current === 'cancelled' || current === 'removed') {
+            updateHook.status = current;
+          } else if (current === 'paused' && updateHook.status !== 'complete') {
+            updateHook.status = 'paused';
+          }
+
+          store.update(hook._id, updateHook, next);
         },
-        repeating(update, next) {
-          if (!hook.runEvery) {
+        // start the hook's 'onComplete' hooks with its data and results:
+        chained(update, next) {
+          if (updateHook.status === 'complete') {
+            chainHooks(server, settings, hook, config.onComplete, { results: performActions.results });
+          }
+
+          next();
+        },
+        // a run of the same recurring hook that was queued after this one and then cancelled means the whole hook was:
+        cancelled(current, next) {
+          if (!hook.runEvery || !hook.hookId) {
+            return next(null, false);
+          }
+
+          store.count({ hookId: hook.hookId, status: 'cancelled', added: { $gte: hook.added } }, (err, count) => next(err, count > 0));
+        },
+        repeating(current, cancelled, update, next) {
+          if (!hook.runEvery || current === 'cancelled' || current === 'removed' || cancelled || isDeferred(performActions)) {
             return next();
           }
 
-          server.methods.hook(hook.hookName, hook.hookData, {
+          // the next run follows the hook's catchUp policy, 'runAll' works through the runs it missed one at a time:
+          let runs;
+          try {
+            runs = catchUp(settings, hook);
+          } catch (err) {
+            return next(err);
+          }
+
+          const hookFunction = settings.decorate ? server.hook : server.methods.hook;
+          hookFunction(hook.hookName, hook.hookData, {
             runEvery: hook.runEvery,
-            hookId: hook.hookId
+            runAfter: runs.next,
+            catchUp: hook.catchUp,
+            hookId: hook.hookId,
+            fromConfig: hook.fromConfig,
+            paused: current === 'paused'
           });
           next();
         }
-      }, done);
+      }, err => done(err, updateHook));
     },
     logCompleted(completeHooks, performActions, done) {
-      server.emit('hook:complete', { hook, results: performActions.results });
+      if (isDeferred(performActions)) {
+        server.events.emit('hook:deferred', { hook, results: performActions.results, delay: performActions.deferred });
+
+        if (settings.log) {
+          server.log(['hapi-hooks', 'deferred', 'debug'], { message: `Hook '${hook.hookName}' was deferred by a rate limit for ${performActions.deferred}ms`, hookId: hook.hookId });
+        }
+
+        return done(null, performActions.results);
+      }
+
+      server.events.emit('hook:complete', { hook, results: performActions.results });
 
       if (settings.log) {
         logComplete(server, performActions, hook);
       }
 
       done(null, performActions.results);
+    },
+    // a run that used up the last retry aborts the hook now, rather than when it would next be claimed:
+    abortHooks(completeHooks, logCompleted, done) {
+      if (completeHooks.status !== 'failed' || completeHooks.runCount < maxRetries) {
+        return done();
+      }
+
+      abortHook(server, settings, store, Object.assign({}, hook, completeHooks), () => done());
     }
   };
 };
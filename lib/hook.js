@@ -1,107 +1,145 @@
-const later = require('later');
-const laterTimezone = require('later-timezone').timezone;
 const async = require('async');
+const hookConfig = require('./methods/hookConfig');
+const validateData = require('./methods/validateData');
+const dedupeKey = require('./methods/dedupeKey');
+const parseSchedule = require('./methods/parseSchedule');
+const catchUpPolicy = require('./methods/catchUpPolicy');
+const zonedSchedule = require('./methods/zonedSchedule');
+const firstRun = require('./methods/runAfter');
+
+// adds a hook to the queue and calls back with its id
+module.exports = (server, settings, store, hookName, hookData, hookOptions, allDone) => {
+  async.autoInject({
+    check(done) {
+      if (!hookConfig(settings, hookName)) {
+        return done(new Error(`Unknown hook '${hookName}'`));
+      }
 
-module.exports = (server, settings, collection, hookName, hookData, hookOptions) => {
-  if (!settings.hooks[hookName]) {
-    return;
-  }
+      done();
+    },
+    // reject data that doesn't match the hook's 'validate' schema before it is stored:
+    validate(check, done) {
+      const schema = hookConfig(settings, hookName).validate;
 
-  async.autoInject({
-    setup(done) {
+      if (!schema) {
+        return done(null, hookData);
+      }
+
+      const result = validateData(schema, hookData, `Invalid data for hook '${hookName}'`);
+      done(result.error, result.value);
+    },
+    // when the hook should first run, from its 'runAfter', 'delay' or 'runAt' option:
+    runAfter(check, done) {
+      let runAfter;
+      try {
+        runAfter = firstRun(settings, hookOptions);
+      } catch (err) {
+        return done(err);
+      }
+
+      done(null, runAfter);
+    },
+    // an unchanged recurring hook that is already queued keeps its next run, so runs missed while
+    // the server was down aren't lost when it is added again on startup:
+    existing(validate, runAfter, done) {
+      if (!hookOptions.runEvery || runAfter || !hookOptions.hookId) {
+        return done(null, null);
+      }
+
+      store.find({ hookId: hookOptions.hookId, status: { $in: ['waiting', 'processing', 'paused'] } }, { limit: 1 }, (err, hooks) => {
+        if (err) {
+          return done(err);
+        }
+
+        const hook = hooks[0];
+        done(null, hook && JSON.stringify(hook.runEvery) === JSON.stringify(hookOptions.runEvery) ? hook : null);
+      });
+    },
+    setup(validate, runAfter, existing, done) {
+      const dedupe = hookConfig(settings, hookName).dedupe;
+      const key = dedupeKey(hookName, dedupe, validate);
       const data = {
         hookName,
-        hookData,
-        runAfter: hookOptions.runAfter || new Date(),
-        status: 'waiting',
+        hookData: validate,
+        runAfter: runAfter || new Date(),
+        status: hookOptions.paused ? 'paused' : 'waiting',
         added: new Date()
       };
 
-      if (!hookOptions.hookId) {
+      // the store ignores a hook with the same key that is still queued or failed, or was added within the 'dedupe' window:
+      if (key) {
+        data.dedupeKey = key;
+        data.dedupeUntil = new Date(data.added.getTime() + (dedupe.window || 0));
+      } else if (!hookOptions.hookId) {
         server.log(['hapi-hooks', 'deprecated', 'info'], { message: 'Set a hookId to prevent duplicate hooks.', hookName: data.hookName });
       }
 
       data.hookId = hookOptions.hookId;
 
       if (hookOptions.runEvery) {
-        laterTimezone(later, settings.timezone);
-        const schedule = later.parse.text(hookOptions.runEvery);
+        let schedule;
+        try {
+          schedule = zonedSchedule(parseSchedule(hookOptions.runEvery), settings.timezone);
+          catchUpPolicy(hookOptions.catchUp);
+        } catch (err) {
+          return done(err);
+        }
 
-        if (schedule.error !== -1) {
-          return done(`Invalid schedule ${hookOptions.runEvery} at ${schedule.error}`);
+        // 'runAfter' (or 'delay' or 'runAt') sets the first run, otherwise it is the next occurrence of the schedule:
+        let next = schedule.next(new Date());
+        if (runAfter) {
+          next = new Date(runAfter);
+        } else if (existing) {
+          next = existing.scheduledFor || existing.runAfter;
         }
-        const next = new Date(later.schedule(schedule).next(1, new Date()));
+
         data.runAfter = next;
+        data.scheduledFor = next;
         data.runEvery = hookOptions.runEvery;
         data.hookId = hookOptions.hookId;
-      }
 
-      done(null, data);
-    },
-    existing(setup, done) {
-      const data = setup;
-      if (!data.hookId) {
-        return done(null, 0);
-      }
+        if (typeof hookOptions.catchUp !== 'undefined') {
+          data.catchUp = hookOptions.catchUp;
+        }
 
-      collection.count({
-        hookId: data.hookId,
-        status: {
-          $in: ['waiting', 'processing']
+        if (hookOptions.fromConfig) {
+          data.fromConfig = true;
         }
-      }, (err, count) => {
-        done(err, count);
-      });
-    },
-    insert(existing, setup, done) {
-      const data = setup;
-
-      if (existing) {
-        delete data.added;
-        delete data.status;
-
-        collection.updateOne({
-          hookId: data.hookId
-        }, { $set: data }, err => {
-          if (err) {
-            return done(err);
-          }
-
-          if (settings.log) {
-            server.log(['hapi-hooks', 'updated-hook', 'debug'], {
-              message: `Updating a hook: '${hookName}'`,
-              data: hookData,
-              options: hookOptions,
-              runAfter: data.runAfter
-            });
-          }
-
-          done();
-        });
-
-        return;
       }
 
-      collection.insertOne(data, err => {
+      done(null, data);
+    },
+    enqueue(setup, done) {
+      store.enqueue(setup, (err, result) => {
         if (err) {
           return done(err);
         }
 
+        if (result.duplicate) {
+          server.log(['hapi-hooks', 'duplicate', 'info'], { message: `Ignoring a duplicate of hook '${hookName}'`, dedupeKey: setup.dedupeKey, id: result.id.toString() });
+          return done(null, result.id);
+        }
+
+        server.events.emit('hook:queued', { id: result.id, hook: setup, updated: result.updated });
+
         if (settings.log) {
-          server.log(['hapi-hooks', 'new-hook', 'debug'], {
-            message: `Registering a new hook: '${hookName}'`,
+          server.log(['hapi-hooks', result.updated ? 'updated-hook' : 'new-hook', 'debug'], {
+            message: result.updated ? `Updating a hook: '${hookName}'` : `Registering a new hook: '${hookName}'`,
             data: hookData,
             options: hookOptions,
-            runAfter: data.runAfter
+            runAfter: setup.runAfter
           });
         }
 
-        done();
+        done(null, result.id);
       });
     }
-  }, err => {
+  }, (err, results) => {
     if (err) {
-      server.log(['hapi-hooks', 'error'], { error: err });
+      server.log(['hapi-hooks', 'error'], { error: err.message, hookName });
+      return allDone(err);
     }
+
+    allDone(null, results.enqueue);
   });
 };
@@ -1,21 +1,21 @@
 const async = require('async');
 
-module.exports = (collection, lastIntervalDate, allDone) => {
+module.exports = (store, lastIntervalDate, allDone) => {
   const current = {
     processing: 0,
     waiting: 0,
     complete: 0
   };
-  async.each(['processing', 'waiting', 'complete', 'failed', 'aborted'], (status, eachDone) => {
+  async.each(['processing', 'waiting', 'complete', 'failed', 'aborted', 'paused', 'cancelled', 'removed'], (status, eachDone) => {
     const query = { status };
     // only get count for tasks completed since last interval was called:
     if (status === 'complete' && lastIntervalDate) {
       query.completedOn = { $gt: lastIntervalDate };
     }
 
-    collection.count(query).then((count) => {
+    store.count(query, (err, count) => {
       current[status] = count;
-      eachDone();
+      eachDone(err);
     });
   }, (err, result) => {
     if (err) {
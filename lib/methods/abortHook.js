@@ -0,0 +1,51 @@
+const setStatus = require('./setStatus');
+const callMethod = require('./callMethod');
+const hookConfig = require('./hookConfig');
+const chainHooks = require('./chainHooks');
+
+// marks a hook that ran out of retries as aborted, moves it to the dead letter store and lets everyone know
+module.exports = (server, settings, store, hook, done) => {
+  const errors = hook.errors || [];
+
+  const notify = () => {
+    if (settings.onAborted) {
+      callMethod(settings.onAborted, [hook, errors], err => {
+        if (err) {
+          server.log(['hapi-hooks', 'error'], { error: err.message || err, message: 'onAborted failed', name: hook.hookName });
+        }
+      });
+    }
+
+    server.events.emit('hook:aborted', { hook, errors });
+
+    const config = hookConfig(settings, hook.hookName);
+    if (config) {
+      chainHooks(server, settings, hook, config.onFailure, { results: hook.results, errors });
+    }
+
+    done();
+  };
+
+  setStatus(server, settings, store, hook, 'aborted', () => {
+    hook.status = 'aborted';
+
+    if (!settings.deadLetter) {
+      return notify();
+    }
+
+    settings.deadLetter.enqueue(hook, err => {
+      if (err) {
+        server.log(['hapi-hooks', 'error'], { error: err, name: hook.hookName });
+        return notify();
+      }
+
+      store.remove({ _id: hook._id }, removeErr => {
+        if (removeErr) {
+          server.log(['hapi-hooks', 'error'], { error: removeErr, name: hook.hookName });
+        }
+
+        notify();
+      });
+    });
+  });
+};
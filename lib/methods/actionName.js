@@ -0,0 +1,12 @@
+// the name an action is recorded under in a hook's results, its method or, for http actions, its method and url
+module.exports = action => {
+  if (!action || typeof action !== 'object') {
+    return action;
+  }
+
+  if (action.http) {
+    return `${(action.http.method || 'POST').toUpperCase()} ${action.http.url}`;
+  }
+
+  return action.method;
+};
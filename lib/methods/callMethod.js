@@ -0,0 +1,30 @@
+// calls a server method with a callback, supporting methods that instead return a promise or a value
+module.exports = (method, args, done) => {
+  let called = false;
+  const finish = (err, output) => {
+    if (called) {
+      return;
+    }
+
+    called = true;
+    done(err, output);
+  };
+
+  let result;
+  try {
+    result = method.apply(null, args.concat(finish));
+  } catch (err) {
+    return finish(err);
+  }
+
+  // a method that takes the callback finishes when it calls it, whatever it returns (eg a timer or a query):
+  const takesCallback = method.length > args.length;
+
+  if (result instanceof Promise || (!takesCallback && result && typeof result.then === 'function')) {
+    return result.then(output => finish(null, output), err => finish(err || new Error('Method rejected')));
+  }
+
+  if (!takesCallback && typeof result !== 'undefined') {
+    finish(null, result);
+  }
+};
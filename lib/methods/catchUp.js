@@ -0,0 +1,32 @@
+const parseSchedule = require('./parseSchedule');
+const catchUpPolicy = require('./catchUpPolicy');
+const zonedSchedule = require('./zonedSchedule');
+
+// works out which runs of a recurring hook were missed, ie other occurrences of its schedule
+// that have passed since it was due, and when it should run next according to its catchUp policy:
+// 'runOnce' (the default) and 'skip' move on to the next occurrence from now, 'runAll' to the oldest missed one
+module.exports = (settings, hook, now) => {
+  now = now || new Date();
+  const policy = catchUpPolicy(hook.catchUp);
+
+  const schedule = zonedSchedule(parseSchedule(hook.runEvery), settings.timezone);
+  const scheduledFor = new Date(hook.scheduledFor || hook.runAfter).getTime();
+
+  // a hook that is late by no more than the poll interval (or a longer 'grace') hasn't missed any runs,
+  // otherwise a schedule shorter than the interval would always look like it had:
+  const grace = Math.max(settings.interval || 0, policy.grace || 0);
+  const late = now.getTime() - scheduledFor > grace;
+
+  // only the most recent 'limit' missed runs are kept:
+  const missed = late ? schedule.prev(policy.limit, now)
+    .filter(date => date.getTime() > scheduledFor)
+    .reverse() : [];
+
+  const upcoming = schedule.next(new Date(Math.max(now.getTime(), scheduledFor)));
+
+  return {
+    policy: policy.policy,
+    missed,
+    next: policy.policy === 'runAll' && missed.length ? missed[0] : upcoming
+  };
+};
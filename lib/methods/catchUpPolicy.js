@@ -0,0 +1,21 @@
+const policies = ['skip', 'runOnce', 'runAll'];
+
+// normalizes a recurring hook's 'catchUp' option, either a policy name or { policy, limit, grace }
+// throws if the policy is invalid
+module.exports = catchUp => {
+  const policy = Object.assign({ policy: 'runOnce', limit: 10 }, typeof catchUp === 'string' ? { policy: catchUp } : catchUp);
+
+  if (policies.indexOf(policy.policy) === -1) {
+    throw new Error(`Invalid catchUp policy '${policy.policy}', expected one of ${policies.join(', ')}`);
+  }
+
+  if (typeof policy.limit !== 'number' || policy.limit < 1) {
+    throw new Error(`Invalid catchUp limit ${policy.limit}, expected a number of at least 1`);
+  }
+
+  if (typeof policy.grace !== 'undefined' && (typeof policy.grace !== 'number' || policy.grace < 0)) {
+    throw new Error(`Invalid catchUp grace ${policy.grace}, expected a number of milliseconds`);
+  }
+
+  return policy;
+};
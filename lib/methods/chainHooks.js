@@ -0,0 +1,11 @@
+// queues the hooks in a hook's 'onComplete' or 'onFailure' option, each one gets the hook's data plus 'extra'
+// their hookIds come from the hook's id, so a hook can only ever start each of them once
+module.exports = (server, settings, hook, hookNames, extra) => {
+  const hookFunction = settings.decorate ? server.hook : server.methods.hook;
+
+  [].concat(hookNames || []).forEach(hookName => {
+    const hookData = Object.assign({}, hook.hookData, extra);
+    // errors are already logged by the hook method:
+    hookFunction(hookName, hookData, { hookId: `${hook._id}:${hookName}` });
+  });
+};
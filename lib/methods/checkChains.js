@@ -0,0 +1,17 @@
+const hookConfig = require('./hookConfig');
+
+// makes sure the hooks in every hook's 'onComplete' and 'onFailure' options exist
+// throws if one doesn't
+module.exports = settings => {
+  Object.keys(settings.hooks || {}).forEach(hookName => {
+    const config = hookConfig(settings, hookName);
+
+    ['onComplete', 'onFailure'].forEach(option => {
+      [].concat(config[option] || []).forEach(chained => {
+        if (!hookConfig(settings, chained)) {
+          throw new Error(`Hook '${hookName}' has an unknown ${option} hook '${chained}'`);
+        }
+      });
+    });
+  });
+};
@@ -0,0 +1,18 @@
+const hookConfig = require('./hookConfig');
+
+// makes sure every hook's 'dedupe' option says what makes two hooks duplicates, otherwise every hook
+// with that name would get the same key and all but the first would be ignored
+// throws if one doesn't
+module.exports = settings => {
+  Object.keys(settings.hooks || {}).forEach(hookName => {
+    const dedupe = hookConfig(settings, hookName).dedupe;
+
+    if (!dedupe) {
+      return;
+    }
+
+    if (typeof dedupe.key !== 'function' && !(Array.isArray(dedupe.fields) && dedupe.fields.length)) {
+      throw new Error(`Hook '${hookName}' has a dedupe option without a key function or a list of fields`);
+    }
+  });
+};
@@ -0,0 +1,25 @@
+const hookConfig = require('./hookConfig');
+
+// makes sure every action's 'http' option has an http or https url and a known method
+// throws if one doesn't
+module.exports = settings => {
+  const methods = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+  Object.keys(settings.hooks || {}).forEach(hookName => {
+    hookConfig(settings, hookName).actions.forEach(action => {
+      if (!action || typeof action !== 'object' || typeof action.http === 'undefined') {
+        return;
+      }
+
+      const http = action.http || {};
+
+      if (typeof http.url !== 'string' || !/^https?:\/\//i.test(http.url)) {
+        throw new Error(`Invalid http action in hook '${hookName}', expected an http or https url`);
+      }
+
+      if (typeof http.method !== 'undefined' && methods.indexOf(String(http.method).toUpperCase()) === -1) {
+        throw new Error(`Invalid http action in hook '${hookName}', unknown method '${http.method}'`);
+      }
+    });
+  });
+};
@@ -0,0 +1,24 @@
+const hookConfig = require('./hookConfig');
+const actionName = require('./actionName');
+
+// makes sure every action's 'rateLimit' is { limit, interval } and that the store can enforce it
+// throws if one isn't
+module.exports = (settings, store) => {
+  Object.keys(settings.hooks || {}).forEach(hookName => {
+    hookConfig(settings, hookName).actions.forEach(action => {
+      if (typeof action !== 'object' || typeof action.rateLimit === 'undefined') {
+        return;
+      }
+
+      const rateLimit = action.rateLimit || {};
+
+      if (!(rateLimit.limit >= 1) || !(rateLimit.interval > 0)) {
+        throw new Error(`Invalid rateLimit for '${actionName(action)}' in hook '${hookName}', expected { limit, interval }`);
+      }
+
+      if (typeof store.rateLimit !== 'function') {
+        throw new Error(`The store does not support rateLimit, used by '${actionName(action)}' in hook '${hookName}'`);
+      }
+    });
+  });
+};
@@ -0,0 +1,5 @@
+// the options passed to store.claim, identifying this worker and how long it holds the hooks for
+module.exports = (settings, options) => Object.assign({
+  workerId: settings.workerId,
+  leaseExpires: new Date(new Date().getTime() + settings.lease)
+}, options);
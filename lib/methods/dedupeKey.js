@@ -0,0 +1,13 @@
+// derives a hook's idempotency key from its data, using its 'dedupe' option's 'fields' or 'key' function
+// returns null if the hook doesn't dedupe
+module.exports = (hookName, dedupe, hookData) => {
+  if (!dedupe) {
+    return null;
+  }
+
+  const key = typeof dedupe.key === 'function' ?
+    dedupe.key(hookData) :
+    (dedupe.fields || []).map(field => (hookData || {})[field]);
+
+  return `${hookName}:${typeof key === 'string' ? key : JSON.stringify(key)}`;
+};
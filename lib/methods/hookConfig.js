@@ -0,0 +1,14 @@
+// a hook can be configured as a list of actions or as an object with its actions and options
+module.exports = (settings, hookName) => {
+  const config = settings.hooks[hookName];
+
+  if (!config) {
+    return null;
+  }
+
+  if (Array.isArray(config)) {
+    return { actions: config };
+  }
+
+  return config;
+};
@@ -0,0 +1,73 @@
+const Wreck = require('wreck');
+const get = require('lodash.get');
+
+const placeholder = /\{\{\s*([^}\s]+)\s*\}\}/g;
+
+// fills in {{field}} placeholders from the hook data, each value is passed through 'format' if there is one
+// without a 'format' a string that is only a placeholder keeps the field's type, so a body can include objects
+const template = (value, data, format) => {
+  if (typeof value === 'string') {
+    const whole = /^\{\{\s*([^}\s]+)\s*\}\}$/.exec(value);
+
+    if (whole && !format) {
+      return get(data, whole[1]);
+    }
+
+    return value.replace(placeholder, (match, path) => {
+      const field = get(data, path);
+      const text = (typeof field === 'undefined' || field === null) ? '' : String(field);
+      return format ? format(text) : text;
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => template(item, data, format));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reduce((memo, key) => {
+      memo[key] = template(value[key], data, format);
+      return memo;
+    }, {});
+  }
+
+  return value;
+};
+
+// calls the url in an action's 'http' option with the hook's data, anything but a 2xx response is an error
+// the response body, parsed if it's json, is the action's output
+module.exports = (http, data, timeout, done) => {
+  const method = (http.method || 'POST').toUpperCase();
+  const url = template(http.url, data, encodeURIComponent);
+  const options = {
+    headers: template(http.headers || {}, data, String),
+    timeout: timeout || undefined
+  };
+
+  // without a 'body' the hook data is sent as json:
+  const payload = typeof http.body === 'undefined' ? data : template(http.body, data);
+
+  if (method !== 'GET' && method !== 'HEAD' && typeof payload !== 'undefined' && payload !== null) {
+    options.payload = typeof payload === 'object' ? payload : String(payload);
+  }
+
+  let response;
+  Wreck.request(method, url, options)
+    .then(res => {
+      response = res;
+      return Wreck.read(res, { json: 'smart', timeout: timeout || undefined });
+    })
+    .then(read => {
+      const body = Buffer.isBuffer(read) ? read.toString() : read;
+
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        const err = new Error(`${method} ${url} responded with ${response.statusCode}`);
+        err.statusCode = response.statusCode;
+        err.body = body;
+        throw err;
+      }
+
+      return body;
+    })
+    .then(body => done(null, body), err => done(err));
+};
@@ -1,6 +1,6 @@
 module.exports = (server, performActions, hook) => {
   if (performActions.status === 'failed') {
-    const err = performActions.results[0].error;
+    const err = performActions.results.find(result => typeof result.error !== 'undefined').error;
     const msg = {
       hook,
       data: performActions
@@ -0,0 +1,34 @@
+const units = {
+  ms: 1,
+  millisecond: 1,
+  s: 1000,
+  sec: 1000,
+  second: 1000,
+  m: 60 * 1000,
+  min: 60 * 1000,
+  minute: 60 * 1000,
+  h: 60 * 60 * 1000,
+  hr: 60 * 60 * 1000,
+  hour: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+
+// turns a delay in ms, or a string like '10 minutes' or '90s', into ms
+module.exports = delay => {
+  if (typeof delay === 'number' && delay >= 0) {
+    return delay;
+  }
+
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([a-z]+)\s*$/i.exec(typeof delay === 'string' ? delay : '');
+  // units can be plural, eg 'minutes' or 'hrs':
+  const unit = match && (units[match[2].toLowerCase()] || units[match[2].toLowerCase().replace(/s$/, '')]);
+
+  if (!unit) {
+    throw new Error(`Invalid delay ${JSON.stringify(delay)}, expected a number of ms or a string like '10 minutes'`);
+  }
+
+  return parseFloat(match[1]) * unit;
+};
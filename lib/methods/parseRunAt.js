@@ -0,0 +1,59 @@
+const moment = require('moment-timezone');
+const parseSchedule = require('./parseSchedule');
+const zonedSchedule = require('./zonedSchedule');
+
+const relativeDays = { today: 0, tomorrow: 1 };
+
+// later.js reads '12:00 am' as noon and needs the minutes, so times with am or pm are turned into 24 hour ones:
+const clock = (match, before, hour, minutes, meridiem) => `${before}${hour % 12 + (meridiem.toLowerCase() === 'pm' ? 12 : 0)}:${minutes || '00'}`;
+
+const upcoming = (runAt, next) => {
+  if (!next) {
+    throw new Error(`Schedule ${JSON.stringify(runAt)} has no upcoming occurrence`);
+  }
+
+  return next;
+};
+
+// resolves a 'runAt' option, a later.js text expression or { cron }, to its next occurrence in the timezone
+// later.js has no relative days, so 'today' or 'tomorrow' is taken out and the rest is looked for on that day,
+// and times like '9am' or '12:30 am' are read as '9:00' and '0:30'
+// throws if it is invalid or has no upcoming occurrence
+module.exports = (runAt, timezone, now) => {
+  now = now || new Date();
+
+  if (typeof runAt !== 'string') {
+    return upcoming(runAt, zonedSchedule(parseSchedule(runAt), timezone).next(now));
+  }
+
+  const day = /\b(today|tomorrow)\b/i.exec(runAt);
+  const expression = runAt
+    .replace(/\b(today|tomorrow)\b/ig, ' ')
+    .replace(/(^|[^:\d])(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/ig, clock)
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (!day) {
+    return upcoming(runAt, zonedSchedule(parseSchedule(expression), timezone).next(now));
+  }
+
+  const start = moment.tz(now, timezone).startOf('day').add(relativeDays[day[1].toLowerCase()], 'days');
+  const end = start.clone().add(1, 'day').toDate();
+
+  if (!expression) {
+    return start.toDate() > now ? start.toDate() : now;
+  }
+
+  // the first occurrence on that day, which may be midnight itself:
+  const next = zonedSchedule(parseSchedule(expression), timezone).next(new Date(start.valueOf() - 1));
+
+  if (!next || next >= end) {
+    throw new Error(`Schedule ${JSON.stringify(runAt)} has no occurrence ${day[1].toLowerCase()}`);
+  }
+
+  if (next < now) {
+    throw new Error(`Schedule ${JSON.stringify(runAt)} has already passed`);
+  }
+
+  return next;
+};
@@ -0,0 +1,114 @@
+const later = require('later');
+
+const months = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const days = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+// the allowed range of each cron field, later's cron parser silently accepts anything:
+const fields = [
+  { name: 'second', min: 0, max: 59 },
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31, special: /^L$/ },
+  { name: 'month', min: 1, max: 12, names: months, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: days, offset: 0, special: /^[0-7]?L$|^[0-7]#[1-5]$/ }
+];
+
+const validValue = (field, value) => {
+  if (field.names && field.names.indexOf(value) !== -1) {
+    return true;
+  }
+
+  if (!/^\d+$/.test(value)) {
+    return false;
+  }
+
+  const number = parseInt(value, 10);
+  return number >= field.min && number <= field.max;
+};
+
+const validPart = (field, part) => {
+  if (field.special && field.special.test(part)) {
+    return true;
+  }
+
+  const match = /^(\*|\?|[A-Z0-9]+(?:-[A-Z0-9]+)?)(?:\/(\d+))?$/.exec(part);
+  if (!match || (match[2] && parseInt(match[2], 10) === 0)) {
+    return false;
+  }
+
+  if (match[1] === '*' || match[1] === '?') {
+    return true;
+  }
+
+  return match[1].split('-').every(value => validValue(field, value));
+};
+
+// standard cron allows 7 for sunday as well as 0, but later.js reads 7 as saturday, so ranges
+// and steps that include 7 are written out as a list of days with 0 instead:
+const sundays = part => part.split(',').map(value => {
+  if (/^7(L|#[1-5])$/.test(value)) {
+    return `0${value.slice(1)}`;
+  }
+
+  const match = /^(\d+)(?:-(\d+))?(?:\/(\d+))?$/.exec(value);
+  // a step without an end runs up to 7:
+  if (!match || (match[1] !== '7' && match[2] !== '7' && !(match[3] && !match[2]))) {
+    return value;
+  }
+
+  const start = parseInt(match[1], 10);
+  let end = start;
+  if (match[2]) {
+    end = parseInt(match[2], 10);
+  } else if (match[3]) {
+    end = 7;
+  }
+
+  const step = match[3] ? parseInt(match[3], 10) : 1;
+  const dayList = [];
+  for (let day = start; day <= end; day += step) {
+    if (dayList.indexOf(day % 7) === -1) {
+      dayList.push(day % 7);
+    }
+  }
+
+  return dayList.join(',');
+}).join(',');
+
+const parseCron = expression => {
+  const parts = String(expression).trim().split(/\s+/);
+
+  if (parts.length !== 5 && parts.length !== 6) {
+    throw new Error(`Invalid cron expression '${expression}', expected 5 or 6 fields but got ${parts.length}`);
+  }
+
+  const cronFields = parts.length === 5 ? fields.slice(1) : fields;
+  parts.forEach((part, i) => {
+    if (!part.toUpperCase().split(',').every(value => validPart(cronFields[i], value))) {
+      throw new Error(`Invalid cron expression '${expression}', bad ${cronFields[i].name} field '${part}'`);
+    }
+  });
+
+  const cron = parts.map((part, i) => (i === parts.length - 1 ? sundays(part.toUpperCase()) : part.toUpperCase()));
+  return later.parse.cron(cron.join(' '), parts.length === 6);
+};
+
+// turns a 'runEvery' schedule, either later.js text or { cron: '<expression>' }, into a later.js schedule
+// throws if the schedule is invalid
+module.exports = runEvery => {
+  if (runEvery && typeof runEvery === 'object' && typeof runEvery.cron !== 'undefined') {
+    return parseCron(runEvery.cron);
+  }
+
+  if (typeof runEvery !== 'string') {
+    throw new Error(`Invalid schedule ${JSON.stringify(runEvery)}, expected a later.js string or { cron: '<expression>' }`);
+  }
+
+  const schedule = later.parse.text(runEvery);
+
+  if (schedule.error !== -1) {
+    throw new Error(`Invalid schedule ${runEvery} at ${schedule.error}`);
+  }
+
+  return schedule;
+};
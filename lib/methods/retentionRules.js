@@ -0,0 +1,27 @@
+const parseDelay = require('./parseDelay');
+
+const statuses = ['complete', 'failed', 'aborted', 'cancelled', 'removed'];
+
+// turns the 'retention' option into a list of { status, after, archive } rules
+// each status takes how long to keep its hooks, or { after, archive: true }, throws if one is invalid
+module.exports = settings => Object.keys(settings.retention || {}).map(status => {
+  if (statuses.indexOf(status) === -1) {
+    throw new Error(`Invalid retention status '${status}', expected one of ${statuses.join(', ')}`);
+  }
+
+  const value = settings.retention[status];
+  const rule = value && typeof value === 'object' ? value : { after: value };
+  let after;
+
+  try {
+    after = parseDelay(rule.after);
+  } catch (err) {
+    throw new Error(`Invalid retention for '${status}' hooks: ${err.message}`);
+  }
+
+  if (rule.archive && !settings.archive) {
+    throw new Error(`Retention for '${status}' hooks archives them, but the archive option isn't set`);
+  }
+
+  return { status, after, archive: Boolean(rule.archive) };
+});
@@ -0,0 +1,27 @@
+// how long to wait before retrying a hook that has failed 'attempt' times
+module.exports = (retry, attempt) => {
+  const base = retry.delay || 0;
+  let delay;
+
+  switch (retry.policy) {
+    case 'linear':
+      delay = base * attempt;
+      break;
+    case 'exponential':
+      delay = base * Math.pow(retry.factor || 2, attempt - 1);
+      break;
+    default:
+      delay = base;
+  }
+
+  if (retry.maxDelay) {
+    delay = Math.min(delay, retry.maxDelay);
+  }
+
+  // randomly spread retries over the second half of the delay:
+  if (retry.jitter) {
+    delay = (delay / 2) + (Math.random() * delay / 2);
+  }
+
+  return Math.round(delay);
+};
@@ -0,0 +1,24 @@
+const parseDelay = require('./parseDelay');
+const parseRunAt = require('./parseRunAt');
+
+// works out when a hook should first run from its 'runAfter', 'delay' or 'runAt' option
+// 'runAt' is a later.js text expression (which can say 'today' or 'tomorrow') or { cron }, resolved once to its next occurrence in the timezone
+// returns undefined if none of them are set, throws if one is invalid or more than one is set
+module.exports = (settings, hookOptions, now) => {
+  now = now || new Date();
+  const set = ['runAfter', 'delay', 'runAt'].filter(option => typeof hookOptions[option] !== 'undefined');
+
+  if (set.length > 1) {
+    throw new Error(`Only one of runAfter, delay and runAt can be set, got ${set.join(' and ')}`);
+  }
+
+  if (typeof hookOptions.delay !== 'undefined') {
+    return new Date(now.getTime() + parseDelay(hookOptions.delay));
+  }
+
+  if (typeof hookOptions.runAt !== 'undefined') {
+    return parseRunAt(hookOptions.runAt, settings.timezone, now);
+  }
+
+  return hookOptions.runAfter;
+};
@@ -1,5 +1,5 @@
-module.exports = (server, settings, collection, hook, status, done) => {
-  collection.update({ _id: hook._id }, { $set: { status } }, err => {
+module.exports = (server, settings, store, hook, status, done) => {
+  store.update(hook._id, { status }, err => {
     if (err) {
       server.log(['hapi-hooks', 'error'], { error: err, name: hook.hookName });
     }
@@ -0,0 +1,35 @@
+const catchUp = require('./catchUp');
+
+// moves a recurring hook with the 'skip' catchUp policy on to its next occurrence, instead of running it,
+// when other occurrences of its schedule have passed since it was due
+// calls back with true if the run was skipped
+module.exports = (server, settings, store, hook, done) => {
+  if (!hook.runEvery || hook.runCount) {
+    return done(null, false);
+  }
+
+  let runs;
+  try {
+    runs = catchUp(settings, hook);
+  } catch (err) {
+    return done(err);
+  }
+
+  if (runs.policy !== 'skip' || !runs.missed.length) {
+    return done(null, false);
+  }
+
+  store.update(hook._id, { status: 'waiting', runAfter: runs.next, scheduledFor: runs.next, leaseExpires: null }, err => {
+    if (err) {
+      return done(err);
+    }
+
+    server.log(['hapi-hooks', 'skipped', 'info'], {
+      message: `Skipped missed runs of '${hook.hookName}', next run is ${runs.next.toISOString()}`,
+      id: hook._id.toString(),
+      hookId: hook.hookId
+    });
+
+    done(null, true);
+  });
+};
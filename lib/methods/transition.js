@@ -0,0 +1,35 @@
+const async = require('async');
+
+// moves every hook matching 'query' from one of the 'from' statuses to the status returned by 'to', so
+// a recurring hook's failed run and the next run that is already queued both change together
+// calls back with the most recent of them
+module.exports = (server, settings, store, query, from, to, done) => {
+  store.find(Object.assign({}, query, { status: { $in: from } }), { sort: { added: -1 } }, (err, hooks) => {
+    if (err) {
+      return done(err);
+    }
+
+    if (!hooks.length) {
+      const message = `no ${from.join(', ')} hook found for ${JSON.stringify(query)}`;
+      server.log(['hapi-hooks', 'status'], { message });
+      return done(new Error(message));
+    }
+
+    async.eachSeries(hooks, (hook, eachDone) => {
+      const status = to(hook);
+
+      store.update(hook._id, { status }, updateErr => {
+        if (updateErr) {
+          return eachDone(updateErr);
+        }
+
+        if (settings.log) {
+          server.log(['hapi-hooks', 'setting-status', 'debug'], { message: `Setting status to ${status}`, data: hook });
+        }
+
+        hook.status = status;
+        eachDone();
+      });
+    }, eachErr => done(eachErr, eachErr ? null : hooks[0]));
+  });
+};
@@ -0,0 +1,13 @@
+// validates data against a hook's Joi 'validate' schema, returns { error, value } like Joi itself
+// 'value' has Joi's conversions and defaults applied, 'error' is prefixed with 'message' and keeps Joi's details
+module.exports = (schema, data, message) => {
+  const result = schema.validate(data);
+
+  if (result.error) {
+    const error = new Error(`${message}: ${result.error.message}`);
+    error.details = result.error.details;
+    return { error };
+  }
+
+  return { value: result.value };
+};
@@ -0,0 +1,31 @@
+const later = require('later');
+const moment = require('moment-timezone');
+
+// finds occurrences of a later.js schedule in a timezone
+// later only knows about UTC, so dates are shifted to the timezone's wall clock time before asking it and back again after
+module.exports = (schedule, timezone) => {
+  const zone = moment.tz.zone(timezone);
+
+  if (!zone) {
+    throw new Error(`Unknown timezone '${timezone}'`);
+  }
+
+  const toWall = date => new Date(date.getTime() - (zone.utcOffset(date) * 60000));
+  const fromWall = date => new Date(date.getTime() + (zone.utcOffset(new Date(date.getTime() + (zone.utcOffset(date) * 60000))) * 60000));
+  const occurrences = later.schedule(schedule);
+
+  return {
+    // the first occurrence after a date, later's own next() returns the date itself when it falls inside
+    // a matching period, eg any time for 'every 1 hour'
+    next(after) {
+      const wall = toWall(after);
+      const next = [].concat(occurrences.next(2, wall) || []).find(date => date.getTime() > wall.getTime());
+
+      return next ? fromWall(next) : null;
+    },
+    // the 'count' most recent occurrences up to a date, newest first
+    prev(count, before) {
+      return [].concat(occurrences.prev(count, toWall(before)) || []).map(fromWall);
+    }
+  };
+};
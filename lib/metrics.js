@@ -0,0 +1,146 @@
+// keeps counters and histograms about the hook queue and serves them in the prometheus text format
+const durationBuckets = [0.005, 0.01, 0.05, 0.1, 0.5, 1, 5, 10, 30, 60, 300];
+const lagBuckets = [1, 5, 15, 30, 60, 300, 900, 3600];
+
+const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = labels => {
+  const keys = Object.keys(labels);
+  if (!keys.length) {
+    return '';
+  }
+
+  return `{${keys.map(key => `${key}="${escape(labels[key])}"`).join(',')}}`;
+};
+
+const metric = (name, type, help, buckets) => {
+  const values = {};
+
+  return {
+    name,
+    type,
+    help,
+    buckets,
+    values,
+    // each distinct set of labels gets its own series:
+    series(labels) {
+      const key = formatLabels(labels);
+      if (!values[key]) {
+        values[key] = { labels, value: 0, counts: (buckets || []).map(() => 0), sum: 0 };
+      }
+
+      return values[key];
+    }
+  };
+};
+
+const render = (metrics) => metrics.map(item => {
+  const lines = [`# HELP ${item.name} ${item.help}`, `# TYPE ${item.name} ${item.type}`];
+
+  Object.keys(item.values).forEach(key => {
+    const series = item.values[key];
+
+    if (item.type !== 'histogram') {
+      lines.push(`${item.name}${key} ${series.value}`);
+      return;
+    }
+
+    item.buckets.forEach((le, i) => {
+      lines.push(`${item.name}_bucket${formatLabels(Object.assign({}, series.labels, { le }))} ${series.counts[i]}`);
+    });
+    lines.push(`${item.name}_bucket${formatLabels(Object.assign({}, series.labels, { le: '+Inf' }))} ${series.value}`);
+    lines.push(`${item.name}_sum${key} ${series.sum}`);
+    lines.push(`${item.name}_count${key} ${series.value}`);
+  });
+
+  return lines.join('\n');
+}).join('\n\n');
+
+module.exports = (server, settings) => {
+  const enqueued = metric('hapi_hooks_enqueued_total', 'counter', 'Number of hooks added to the queue');
+  const completed = metric('hapi_hooks_completed_total', 'counter', 'Number of hook runs that completed');
+  const failed = metric('hapi_hooks_failed_total', 'counter', 'Number of hook runs that failed');
+  const aborted = metric('hapi_hooks_aborted_total', 'counter', 'Number of hooks aborted after running out of retries');
+  const deferred = metric('hapi_hooks_deferred_total', 'counter', 'Number of hook runs put off by a rate limit');
+  const purged = metric('hapi_hooks_purged_total', 'counter', 'Number of old hooks deleted or archived');
+  const stalled = metric('hapi_hooks_stalled_total', 'counter', 'Number of hooks whose lease expired while processing');
+  const queue = metric('hapi_hooks_queue', 'gauge', 'Number of hooks in each status, as of the last poll');
+  const duration = metric('hapi_hooks_action_duration_seconds', 'histogram', 'How long each action took to run', durationBuckets);
+  const lag = metric('hapi_hooks_queue_lag_seconds', 'histogram', 'Time between when a hook was due to run and when it started', lagBuckets);
+
+  // bucket counts are cumulative, a value counts towards every bucket it fits in:
+  const observe = (histogram, labels, value) => {
+    const series = histogram.series(labels);
+    histogram.buckets.forEach((le, i) => {
+      if (value <= le) {
+        series.counts[i]++;
+      }
+    });
+    series.value++;
+    series.sum += value;
+  };
+
+  server.events.on('hook:queued', event => {
+    if (!event.updated) {
+      enqueued.series({ hook: event.hook.hookName }).value++;
+    }
+  });
+
+  server.events.on('hook:start', hook => {
+    const seconds = Math.max(new Date().getTime() - new Date(hook.runAfter).getTime(), 0) / 1000;
+    observe(lag, { hook: hook.hookName }, seconds);
+  });
+
+  server.events.on('hook:complete', outcome => {
+    const hookName = outcome.hook.hookName;
+    const hasFailed = outcome.results.some(result => typeof result.error !== 'undefined');
+
+    (hasFailed ? failed : completed).series({ hook: hookName }).value++;
+
+    outcome.results.forEach(result => {
+      if (typeof result.duration === 'number') {
+        observe(duration, { hook: hookName, action: result.action }, result.duration / 1000);
+      }
+    });
+  });
+
+  server.events.on('hook:aborted', outcome => {
+    aborted.series({ hook: outcome.hook.hookName }).value++;
+  });
+
+  server.events.on('hook:deferred', outcome => {
+    deferred.series({ hook: outcome.hook.hookName }).value++;
+  });
+
+  server.events.on('hook:purged', event => {
+    purged.series({ status: event.status, action: event.action }).value += event.count;
+  });
+
+  server.events.on('hook:stalled', hook => {
+    stalled.series({ hook: hook.hookName }).value++;
+  });
+
+  server.events.on('hook:query', counts => {
+    Object.keys(counts).forEach(status => {
+      queue.series({ status }).value = counts[status];
+    });
+  });
+
+  const all = [enqueued, completed, failed, aborted, deferred, purged, stalled, queue, duration, lag];
+
+  const metricsSettings = Object.assign({ path: '/hooks/metrics' }, settings.metrics);
+  const options = {};
+
+  if (typeof metricsSettings.auth !== 'undefined') {
+    options.auth = metricsSettings.auth;
+  }
+
+  server.route({
+    method: 'GET',
+    path: metricsSettings.path,
+    options,
+    handler(request, h) {
+      return h.response(`${render(all)}\n`).type('text/plain; version=0.0.4');
+    }
+  });
+};
@@ -0,0 +1,6 @@
+const transition = require('./methods/transition');
+
+// pauses a hook until it is resumed, a hook that is running now finishes but isn't retried or repeated
+module.exports = (server, settings, store, query, allDone) => {
+  transition(server, settings, store, query, ['waiting', 'failed', 'processing'], () => 'paused', allDone);
+};
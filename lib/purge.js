@@ -0,0 +1,56 @@
+const async = require('async');
+const retentionRules = require('./methods/retentionRules');
+
+// deletes, or moves to the archive store, finished hooks that are older than the 'retention' option allows
+// a hook's age counts from the end of its last run, or from when it was added if it never finished one
+module.exports = (server, settings, store, allDone) => {
+  const now = new Date().getTime();
+
+  async.mapSeries(retentionRules(settings), (rule, ruleDone) => {
+    // aborted hooks are kept in the dead letter store when there is one:
+    const source = rule.status === 'aborted' && settings.deadLetter ? settings.deadLetter : store;
+    const cutoff = new Date(now - rule.after);
+    const queries = [
+      { status: rule.status, completedOn: { $lt: cutoff } },
+      { status: rule.status, completedOn: { $exists: false }, added: { $lt: cutoff } }
+    ];
+
+    async.mapSeries(queries, (query, queryDone) => {
+      if (!rule.archive) {
+        return source.remove(query, queryDone);
+      }
+
+      source.find(query, (err, hooks) => {
+        if (err) {
+          return queryDone(err);
+        }
+
+        async.eachSeries(hooks, (hook, eachDone) => {
+          settings.archive.enqueue(hook, enqueueErr => {
+            if (enqueueErr) {
+              return eachDone(enqueueErr);
+            }
+
+            source.remove({ _id: hook._id }, eachDone);
+          });
+        }, eachErr => queryDone(eachErr, hooks.length));
+      });
+    }, (err, counts) => {
+      if (err) {
+        return ruleDone(err);
+      }
+
+      const purged = { status: rule.status, action: rule.archive ? 'archive' : 'delete', count: counts[0] + counts[1] };
+
+      if (purged.count) {
+        server.events.emit('hook:purged', purged);
+
+        if (settings.log) {
+          server.log(['hapi-hooks', 'purged', 'debug'], { message: `${rule.archive ? 'Archived' : 'Deleted'} ${purged.count} ${rule.status} hooks` });
+        }
+      }
+
+      ruleDone(null, purged);
+    });
+  }, allDone);
+};
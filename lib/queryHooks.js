@@ -1,25 +1,50 @@
 const async = require('async');
 const executeHook = require('./executeHook');
 const hookStatus = require('./hookStatus');
+const claimOptions = require('./methods/claimOptions');
+const skipMissedRun = require('./methods/skipMissedRun');
 
-module.exports = (server, settings, collection, allDone) => {
+module.exports = (server, settings, store, allDone) => {
   let lastIntervalDate;
   async.autoInject({
-    outstandingHooks(done) {
+    stalledHooks(done) {
+      // hooks whose worker died or hung before finishing go back in the queue:
+      store.reap((err, hooks) => {
+        if (err) {
+          return done(err);
+        }
+
+        hooks.forEach(hook => {
+          server.events.emit('hook:stalled', hook);
+          server.log(['hapi-hooks', 'stalled', 'warning'], {
+            message: `Hook '${hook.hookName}' stalled while processing on ${hook.workerId}, returning it to the queue`,
+            id: hook._id.toString(),
+            hookId: hook.hookId
+          });
+        });
+
+        done(null, hooks);
+      });
+    },
+    outstandingHooks(stalledHooks, done) {
       // lastIntervalDate will be undefined the first time this is called:
-      hookStatus(collection, lastIntervalDate, done);
+      hookStatus(store, lastIntervalDate, done);
     },
-    logHooks(outstandingHooks, done) {
-      server.emit('hook:query', outstandingHooks);
+    inProgress(stalledHooks, done) {
+      // only hooks claimed by this server hold up the next batch:
+      store.count({ status: 'processing', workerId: settings.workerId }, done);
+    },
+    logHooks(outstandingHooks, inProgress, done) {
+      server.events.emit('hook:query', outstandingHooks);
 
       if (settings.log) {
         server.log(['hapi-hooks', 'status'], outstandingHooks);
       }
 
-      const proceed = outstandingHooks.processing === 0;
+      const proceed = inProgress === 0;
 
       if (!proceed && settings.log) {
-        server.log(['hapi-hooks', 'warning'], `There are still ${outstandingHooks.processing} hooks in the queue.`);
+        server.log(['hapi-hooks', 'warning'], `There are still ${inProgress} hooks in the queue.`);
       } else {
         lastIntervalDate = new Date();
       }
@@ -32,19 +57,18 @@ module.exports = (server, settings, collection, allDone) => {
         return done(null, []);
       }
 
-      collection.find({
-        status: {
-          $in: ['waiting', 'failed']
-        },
-        runAfter: {
-          $lte: new Date()
-        }
-      }).limit(settings.batchSize).toArray(done);
+      store.claim(claimOptions(settings, { limit: settings.batchSize }), done);
     },
     execute(hooks, done) {
       async.each(hooks, (hook, eachDone) => {
-        server.emit('hook:start', hook);
-        async.autoInject(executeHook(server, settings, collection, hook), eachDone);
+        skipMissedRun(server, settings, store, hook, (err, skipped) => {
+          if (err || skipped) {
+            return eachDone(err);
+          }
+
+          server.events.emit('hook:start', hook);
+          async.autoInject(executeHook(server, settings, store, hook), eachDone);
+        });
       }, done);
     },
   }, (err, results) => {
@@ -0,0 +1,74 @@
+const async = require('async');
+const hook = require('./hook');
+
+const activeStatuses = ['waiting', 'processing', 'paused', 'failed'];
+
+// brings the queued recurring hooks in line with the 'recurring' option when the server starts:
+// adds new ones, updates the ones whose hook, schedule or data changed and marks the ones
+// that are no longer configured as 'removed' so they stop repeating
+// only hooks that came from the 'recurring' option (tagged 'fromConfig') are removed, not ones queued from code,
+// unless 'reconcile' is 'all' (for hooks stored by versions that didn't tag them)
+module.exports = (server, settings, store, allDone) => {
+  const recurring = settings.recurring;
+
+  async.autoInject({
+    queued(done) {
+      store.find({ runEvery: { $exists: true }, status: { $in: activeStatuses } }, done);
+    },
+    removed(queued, done) {
+      const stale = settings.reconcile ? queued.filter(queuedHook => (queuedHook.fromConfig || settings.reconcile === 'all') && !recurring[queuedHook.hookId]) : [];
+
+      async.eachSeries(stale, (staleHook, eachDone) => {
+        store.update(staleHook._id, { status: 'removed', removedOn: new Date() }, eachDone);
+      }, err => done(err, stale.map(staleHook => staleHook.hookId)));
+    },
+    enqueue(queued, removed, done) {
+      const summary = { added: [], changed: [] };
+
+      async.eachSeries(Object.keys(recurring), (hookId, eachDone) => {
+        const hookObj = recurring[hookId];
+        const hookData = hookObj.data || {};
+        const existing = queued.find(queuedHook => queuedHook.hookId === hookId);
+
+        if (!existing) {
+          summary.added.push(hookId);
+        } else if (existing.hookName !== hookObj.hook ||
+          JSON.stringify(existing.runEvery) !== JSON.stringify(hookObj.schedule) ||
+          JSON.stringify(existing.hookData) !== JSON.stringify(hookData) ||
+          JSON.stringify(existing.catchUp) !== JSON.stringify(hookObj.catchUp)) {
+          summary.changed.push(hookId);
+        }
+
+        hook(server, settings, store, hookObj.hook, hookData, {
+          runEvery: hookObj.schedule,
+          catchUp: hookObj.catchUp,
+          hookId,
+          fromConfig: true
+        }, eachDone);
+      }, err => done(err, summary));
+    }
+  }, (err, results) => {
+    if (err) {
+      return allDone(err);
+    }
+
+    const summary = {
+      added: results.enqueue.added,
+      changed: results.enqueue.changed,
+      removed: results.removed
+    };
+
+    if (!Object.keys(recurring).length && !summary.removed.length) {
+      return allDone(null, summary);
+    }
+
+    server.log(['hapi-hooks', 'recurring', 'info'], {
+      message: `Recurring hooks: ${summary.added.length} added, ${summary.changed.length} changed, ${summary.removed.length} removed`,
+      added: summary.added,
+      changed: summary.changed,
+      removed: summary.removed
+    });
+
+    allDone(null, summary);
+  });
+};
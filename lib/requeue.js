@@ -0,0 +1,42 @@
+const async = require('async');
+
+// puts aborted hooks matching 'query' back in the queue with a fresh set of retries
+// they come from the dead letter store if there is one, otherwise from the aborted hooks in the store
+module.exports = (server, settings, store, query, allDone) => {
+  const source = settings.deadLetter || store;
+  const reset = {
+    status: 'waiting',
+    runAfter: new Date(),
+    runCount: 0
+  };
+
+  source.find(Object.assign({}, query, { status: 'aborted' }), (err, hooks) => {
+    if (err) {
+      return allDone(err);
+    }
+
+    async.eachSeries(hooks, (hook, eachDone) => {
+      if (!settings.deadLetter) {
+        return store.update(hook._id, reset, eachDone);
+      }
+
+      store.enqueue(Object.assign({}, hook, reset), enqueueErr => {
+        if (enqueueErr) {
+          return eachDone(enqueueErr);
+        }
+
+        settings.deadLetter.remove({ _id: hook._id }, eachDone);
+      });
+    }, eachErr => {
+      if (eachErr) {
+        return allDone(eachErr);
+      }
+
+      if (settings.log) {
+        server.log(['hapi-hooks', 'requeue', 'debug'], { message: `Requeued ${hooks.length} aborted hooks`, query });
+      }
+
+      allDone(null, hooks.length);
+    });
+  });
+};
@@ -0,0 +1,6 @@
+const transition = require('./methods/transition');
+
+// puts a paused hook back in the queue, or back to processing if it was paused while running
+module.exports = (server, settings, store, query, allDone) => {
+  transition(server, settings, store, query, ['paused'], hook => (hook.leaseExpires ? 'processing' : 'waiting'), allDone);
+};
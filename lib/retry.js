@@ -1,12 +1,21 @@
 const async = require('async');
 const executeHook = require('./executeHook');
+const claimOptions = require('./methods/claimOptions');
 
-module.exports = (server, settings, collection, hookId, allDone) => {
-  collection.findOne({ _id: hookId }, (err, result) => {
+// options.rerunAll will run every action again, not just the ones that failed last time
+module.exports = (server, settings, store, hookId, options, allDone) => {
+  if (typeof options === 'function') {
+    allDone = options;
+    options = {};
+  }
+
+  store.find({ _id: hookId }, { limit: 1 }, (err, hooks) => {
     if (err) {
       return allDone(err);
     }
 
+    const result = hooks[0];
+
     if (!result) {
       const notFound = `hook ${hookId} not found`;
       server.log(['hapi-hooks', 'error'], { message: notFound });
@@ -19,6 +28,19 @@ module.exports = (server, settings, collection, hookId, allDone) => {
       return allDone(new Error(message));
     }
 
-    async.autoInject(executeHook(server, settings, collection, result), allDone);
+    // claim the hook so it can't be picked up by another worker while it is retried:
+    store.claim(claimOptions(settings, { id: result._id, limit: 1 }), (claimErr, claimed) => {
+      if (claimErr) {
+        return allDone(claimErr);
+      }
+
+      if (!claimed.length) {
+        const message = `hook ${hookId} is already being processed, skipping retry attempt`;
+        server.log(['hapi-hooks', 'repeat'], { message });
+        return allDone(new Error(message));
+      }
+
+      async.autoInject(executeHook(server, settings, store, claimed[0], options), allDone);
+    });
   });
 };
@@ -0,0 +1,110 @@
+const util = require('util');
+const Boom = require('boom');
+const hookStatus = util.promisify(require('./hookStatus'));
+const retry = util.promisify(require('./retry'));
+const cancel = util.promisify(require('./cancel'));
+
+// registers the admin routes for inspecting and managing hooks
+module.exports = (server, settings, store) => {
+  const routeSettings = Object.assign({ prefix: '/hooks' }, settings.routes);
+  const prefix = routeSettings.prefix.replace(/\/$/, '');
+  const options = {};
+
+  if (typeof routeSettings.auth !== 'undefined') {
+    options.auth = routeSettings.auth;
+  }
+
+  const find = (query, findOptions) => new Promise((resolve, reject) => {
+    store.find(query, findOptions, (err, hooks) => (err ? reject(err) : resolve(hooks)));
+  });
+
+  const count = query => new Promise((resolve, reject) => {
+    store.count(query, (err, total) => (err ? reject(err) : resolve(total)));
+  });
+
+  // looks up the hook in the url, throwing a 404 if there isn't one:
+  const findHook = async request => {
+    const hooks = await find({ _id: request.params.id }, { limit: 1 });
+
+    if (!hooks.length) {
+      throw Boom.notFound(`hook ${request.params.id} not found`);
+    }
+
+    return hooks[0];
+  };
+
+  server.route([
+    {
+      method: 'GET',
+      path: prefix,
+      options,
+      async handler(request) {
+        const query = {};
+        const limit = Math.min(parseInt(request.query.limit, 10) || 20, 100);
+        const page = Math.max(parseInt(request.query.page, 10) || 1, 1);
+
+        if (request.query.status) {
+          query.status = { $in: request.query.status.split(',') };
+        }
+
+        ['hookName', 'hookId'].forEach(key => {
+          if (request.query[key]) {
+            query[key] = request.query[key];
+          }
+        });
+
+        const [hooks, total] = await Promise.all([
+          find(query, { sort: { runAfter: -1 }, skip: (page - 1) * limit, limit }),
+          count(query)
+        ]);
+
+        return { hooks, total, page, limit };
+      }
+    },
+    {
+      method: 'GET',
+      path: `${prefix}/status`,
+      options,
+      handler() {
+        return hookStatus(store, null);
+      }
+    },
+    {
+      method: 'GET',
+      path: `${prefix}/{id}`,
+      options,
+      handler(request) {
+        return findHook(request);
+      }
+    },
+    {
+      method: 'POST',
+      path: `${prefix}/{id}/retry`,
+      options,
+      async handler(request) {
+        const hook = await findHook(request);
+
+        try {
+          const result = await retry(server, settings, store, hook._id, { rerunAll: request.query.rerunAll === 'true' });
+          return { results: result.performActions.results };
+        } catch (err) {
+          throw Boom.conflict(err.message || err);
+        }
+      }
+    },
+    {
+      method: 'POST',
+      path: `${prefix}/{id}/cancel`,
+      options,
+      async handler(request) {
+        const hook = await findHook(request);
+
+        try {
+          return await cancel(server, settings, store, { _id: hook._id });
+        } catch (err) {
+          throw Boom.conflict(err.message);
+        }
+      }
+    }
+  ]);
+};
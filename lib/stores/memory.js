@@ -0,0 +1,253 @@
+// an in-memory hook store, useful for tests and local development
+// hooks are lost when the process exits and are not shared between instances
+const activeStatuses = ['waiting', 'processing', 'paused'];
+const claimableStatuses = ['waiting', 'failed'];
+const dedupeStatuses = ['waiting', 'processing', 'paused', 'failed'];
+
+const clone = value => {
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return Object.keys(value).reduce((memo, key) => {
+      memo[key] = clone(value[key]);
+      return memo;
+    }, {});
+  }
+
+  return value;
+};
+
+const compare = (a, b) => {
+  if (a instanceof Date) {
+    a = a.getTime();
+  }
+
+  if (b instanceof Date) {
+    b = b.getTime();
+  }
+
+  if (a === b) {
+    return 0;
+  }
+
+  return a < b ? -1 : 1;
+};
+
+const isEqual = (a, b) => {
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    return compare(a, b) === 0 || String(a) === String(b);
+  }
+
+  return a === b;
+};
+
+const operators = {
+  $in: (value, arg) => arg.some(item => isEqual(value, item)),
+  $nin: (value, arg) => !arg.some(item => isEqual(value, item)),
+  $ne: (value, arg) => !isEqual(value, arg),
+  $exists: (value, arg) => (typeof value !== 'undefined') === Boolean(arg),
+  $lt: (value, arg) => typeof value !== 'undefined' && value !== null && compare(value, arg) < 0,
+  $lte: (value, arg) => typeof value !== 'undefined' && value !== null && compare(value, arg) <= 0,
+  $gt: (value, arg) => typeof value !== 'undefined' && value !== null && compare(value, arg) > 0,
+  $gte: (value, arg) => typeof value !== 'undefined' && value !== null && compare(value, arg) >= 0
+};
+
+// supports the subset of the mongo query language used by hapi-hooks
+const matches = (hook, query) => Object.keys(query || {}).every(key => {
+  const condition = query[key];
+  const value = hook[key];
+
+  if (condition && typeof condition === 'object' && !(condition instanceof Date) && Object.keys(condition).some(op => op[0] === '$')) {
+    return Object.keys(condition).every(op => {
+      if (!operators[op]) {
+        throw new Error(`Unsupported query operator ${op}`);
+      }
+
+      return operators[op](value, condition[op]);
+    });
+  }
+
+  return isEqual(value, condition);
+});
+
+// a hook keeps its dedupe key while it is queued or failed, and until its 'dedupeUntil' date once it has finished:
+const holdsKey = (hook, key, now) => hook.dedupeKey === key &&
+  ['cancelled', 'removed'].indexOf(hook.status) === -1 &&
+  (dedupeStatuses.indexOf(hook.status) !== -1 || compare(hook.dedupeUntil, now) > 0);
+
+const sortBy = sort => (a, b) => {
+  const keys = Object.keys(sort);
+  for (let i = 0; i < keys.length; i++) {
+    const result = compare(a[keys[i]], b[keys[i]]) * sort[keys[i]];
+    if (result !== 0) {
+      return result;
+    }
+  }
+
+  return 0;
+};
+
+module.exports = () => {
+  let hooks = [];
+  let lastId = 0;
+  const rateLimits = {};
+
+  // run callbacks asynchronously to behave like any other store:
+  const reply = (done, err, result) => setImmediate(() => done(err, result));
+
+  const findById = id => hooks.find(hook => isEqual(hook._id, id));
+
+  return {
+    init(done) {
+      reply(done);
+    },
+    close(done) {
+      reply(done);
+    },
+    enqueue(data, done) {
+      // only new hooks are checked, hooks moved between stores keep their id:
+      const original = data.dedupeKey && typeof data._id === 'undefined' ? hooks.find(hook => holdsKey(hook, data.dedupeKey, new Date())) : null;
+
+      if (original) {
+        return reply(done, null, { id: original._id, updated: false, duplicate: true });
+      }
+
+      const existing = data.hookId ? hooks.find(hook => hook.hookId === data.hookId && activeStatuses.indexOf(hook.status) !== -1) : null;
+
+      if (existing) {
+        const update = clone(data);
+        delete update.added;
+        delete update.status;
+        Object.assign(existing, update);
+
+        return reply(done, null, { id: existing._id, updated: true });
+      }
+
+      const hook = clone(data);
+      if (typeof hook._id === 'undefined') {
+        lastId++;
+        hook._id = lastId.toString();
+      }
+      hooks.push(hook);
+
+      reply(done, null, { id: hook._id, updated: false });
+    },
+    claim(options, done) {
+      const now = new Date();
+      let claimed = hooks.filter(hook => {
+        if (claimableStatuses.indexOf(hook.status) === -1) {
+          return false;
+        }
+
+        if (typeof options.id !== 'undefined') {
+          return isEqual(hook._id, options.id);
+        }
+
+        return compare(hook.runAfter, now) <= 0;
+      }).sort(sortBy({ runAfter: 1 }));
+
+      if (options.limit) {
+        claimed = claimed.slice(0, options.limit);
+      }
+
+      claimed.forEach(hook => {
+        hook.status = 'processing';
+        hook.workerId = options.workerId;
+        hook.leaseExpires = options.leaseExpires;
+      });
+
+      reply(done, null, claimed.map(clone));
+    },
+    reap(done) {
+      const now = new Date();
+      const reaped = hooks.filter(hook => hook.status === 'processing' && hook.leaseExpires && compare(hook.leaseExpires, now) < 0);
+
+      reaped.forEach(hook => {
+        hook.status = 'waiting';
+        hook.leaseExpires = null;
+        hook.runCount = (hook.runCount || 0) + 1;
+      });
+
+      reply(done, null, reaped.map(clone));
+    },
+    update(id, fields, done) {
+      const hook = findById(id);
+
+      if (hook) {
+        Object.assign(hook, clone(fields));
+      }
+
+      reply(done);
+    },
+    remove(query, done) {
+      let remaining;
+      try {
+        remaining = hooks.filter(hook => !matches(hook, query));
+      } catch (err) {
+        return reply(done, err);
+      }
+
+      const removed = hooks.length - remaining.length;
+      hooks = remaining;
+
+      reply(done, null, removed);
+    },
+    count(query, done) {
+      let count;
+      try {
+        count = hooks.filter(hook => matches(hook, query)).length;
+      } catch (err) {
+        return reply(done, err);
+      }
+
+      reply(done, null, count);
+    },
+    find(query, options, done) {
+      if (typeof options === 'function') {
+        done = options;
+        options = {};
+      }
+
+      let found;
+      try {
+        found = hooks.filter(hook => matches(hook, query));
+      } catch (err) {
+        return reply(done, err);
+      }
+
+      if (options.sort) {
+        found.sort(sortBy(options.sort));
+      }
+
+      if (options.skip) {
+        found = found.slice(options.skip);
+      }
+
+      if (options.limit) {
+        found = found.slice(0, options.limit);
+      }
+
+      reply(done, null, found.map(clone));
+    },
+    // counts a call towards 'key' in fixed windows of 'interval' ms:
+    rateLimit(key, options, done) {
+      const now = new Date().getTime();
+      const start = now - (now % options.interval);
+
+      if (!rateLimits[key] || rateLimits[key].start !== start) {
+        rateLimits[key] = { start, count: 0 };
+      }
+
+      rateLimits[key].count++;
+      const allowed = rateLimits[key].count <= options.limit;
+
+      reply(done, null, { allowed, retryAfter: allowed ? 0 : start + options.interval - now });
+    }
+  };
+};
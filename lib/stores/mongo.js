@@ -0,0 +1,415 @@
+// the default hook store, keeps hooks in a mongo collection
+const mongo = require('mongodb');
+
+const activeStatuses = ['waiting', 'processing', 'paused'];
+const claimableStatuses = ['waiting', 'failed'];
+// a hook keeps its dedupe key while it is in one of these statuses, and until its 'dedupeUntil' date otherwise:
+const dedupeStatuses = ['waiting', 'processing', 'paused', 'failed'];
+
+// hooks that an enqueue with the same hookId updates are marked 'active', mongo's partial indexes
+// can't filter on a list of statuses so the unique hookId index uses this flag instead
+// a hook is active whenever it is in one of these statuses, unless another hook with its hookId already is
+// (the index ignores hooks without a hookId, whatever their flag)
+const isActive = hook => Boolean(hook.hookId) && activeStatuses.indexOf(hook.status) !== -1;
+
+// ids coming from outside (eg a url) are strings, but mongo generates ObjectIDs:
+const toId = id => {
+  if (typeof id === 'string' && /^[0-9a-f]{24}$/i.test(id)) {
+    return new mongo.ObjectID(id);
+  }
+
+  return id;
+};
+
+module.exports = options => {
+  let db;
+  let collection;
+  let rateLimits;
+
+  // adds a hook, or updates the active hook with the same hookId:
+  const save = (data, done) => {
+    data = Object.assign({}, data, { active: isActive(data) });
+
+    if (data.hookId === null || typeof data.hookId === 'undefined') {
+      delete data.hookId;
+    }
+
+    if (!data.hookId || !data.active) {
+      return collection.insertOne(data, (err, result) => {
+        if (err) {
+          return done(err);
+        }
+
+        done(null, { id: result.insertedId, updated: false });
+      });
+    }
+
+    const update = Object.assign({}, data);
+    const insert = { added: data.added, status: data.status };
+    delete update._id;
+    delete update.added;
+    delete update.status;
+
+    if (typeof data._id !== 'undefined') {
+      insert._id = data._id;
+    }
+
+    // updates the active hook with this hookId, or adds one, in a single atomic operation:
+    const upsert = retried => {
+      collection.findOneAndUpdate({
+        hookId: data.hookId,
+        active: true
+      }, { $set: update, $setOnInsert: insert }, { upsert: true, returnOriginal: true }, (err, result) => {
+        // two servers adding the same hookId at once, the unique index rejects one of them and it becomes an update:
+        if (err && err.code === 11000 && !retried) {
+          return upsert(true);
+        }
+
+        if (err) {
+          return done(err);
+        }
+
+        if (!result.value) {
+          return done(null, { id: result.lastErrorObject.upserted, updated: false });
+        }
+
+        done(null, { id: result.value._id, updated: true });
+      });
+    };
+
+    upsert(false);
+  };
+
+  // marks a hook that moved back to an active status as active again:
+  const activate = (hook, done) => {
+    if (hook.active || !isActive(hook)) {
+      return done(null, hook);
+    }
+
+    collection.updateOne({ _id: hook._id }, { $set: { active: true } }, err => {
+      // another hook with the same hookId is already active, so enqueue keeps updating that one:
+      if (err && err.code !== 11000) {
+        return done(err);
+      }
+
+      done(null, Object.assign(hook, { active: !err }));
+    });
+  };
+
+  // brings hooks stored by earlier versions in line with the unique hookId index, rather than failing to create it:
+  const migrate = done => {
+    // hooks stored before the 'active' flag existed:
+    collection.updateMany({
+      status: { $in: activeStatuses },
+      hookId: { $exists: true },
+      active: { $exists: false }
+    }, { $set: { active: true } }, updateErr => {
+      if (updateErr) {
+        return done(updateErr);
+      }
+
+      // a race in earlier versions could queue a hookId twice, only the latest of them stays active:
+      collection.aggregate([
+        { $match: { active: true, hookId: { $exists: true } } },
+        { $sort: { added: -1 } },
+        { $group: { _id: '$hookId', ids: { $push: '$_id' }, count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } }
+      ], (aggregateErr, duplicates) => {
+        if (aggregateErr) {
+          return done(aggregateErr);
+        }
+
+        const extra = duplicates.reduce((memo, duplicate) => memo.concat(duplicate.ids.slice(1)), []);
+
+        if (!extra.length) {
+          return done();
+        }
+
+        collection.updateMany({ _id: { $in: extra } }, { $set: { active: false } }, err => done(err));
+      });
+    });
+  };
+
+  return {
+    init(done) {
+      mongo.connect(options.host, (err, result) => {
+        if (err) {
+          return done(err);
+        }
+
+        db = result;
+        collection = db.collection(options.collectionName);
+        rateLimits = db.collection(`${options.collectionName}-rate-limits`);
+        const indexes = [
+          // only one active hook for each hookId, so concurrent enqueues can't both insert:
+          [collection, { hookId: 1 }, { background: true, unique: true, partialFilterExpression: { active: true, hookId: { $exists: true } } }],
+          // claiming due hooks, reaping expired leases and counting this worker's hooks:
+          [collection, { status: 1, runAfter: 1 }, { background: true }],
+          [collection, { status: 1, leaseExpires: 1 }, { background: true }],
+          [collection, { status: 1, workerId: 1 }, { background: true }],
+          // finding old hooks to purge:
+          [collection, { status: 1, completedOn: 1 }, { background: true }],
+          // only one hook holds each dedupe key, so concurrent duplicates can't both insert:
+          [collection, { dedupeKey: 1, dedupeLock: 1 }, { background: true, unique: true, partialFilterExpression: { dedupeLock: true } }],
+          // rate limit windows are removed by mongo once they are over:
+          [rateLimits, { expires: 1 }, { background: true, expireAfterSeconds: 0 }]
+        ];
+
+        const createIndex = (index) => {
+          if (index === indexes.length) {
+            return done();
+          }
+
+          indexes[index][0].createIndex(indexes[index][1], indexes[index][2], indexErr => {
+            if (indexErr) {
+              return done(indexErr);
+            }
+
+            createIndex(index + 1);
+          });
+        };
+
+        migrate(migrateErr => {
+          if (migrateErr) {
+            return done(migrateErr);
+          }
+
+          createIndex(0);
+        });
+      });
+    },
+    close(done) {
+      db.close(false, done);
+    },
+    enqueue(data, done) {
+      if (!data.dedupeKey) {
+        return save(data, done);
+      }
+
+      // hooks moved between stores keep their key, but don't take it from a hook that was queued since:
+      if (typeof data._id !== 'undefined') {
+        return save(Object.assign({}, data, { dedupeLock: false }), done);
+      }
+
+      data = Object.assign({}, data, { dedupeLock: true });
+
+      // hooks that have finished and are past their window give up their key:
+      collection.updateMany({
+        dedupeKey: data.dedupeKey,
+        dedupeLock: true,
+        $or: [
+          { status: { $in: ['cancelled', 'removed'] } },
+          { status: { $nin: dedupeStatuses }, dedupeUntil: { $lte: new Date() } }
+        ]
+      }, { $set: { dedupeLock: false } }, releaseErr => {
+        if (releaseErr) {
+          return done(releaseErr);
+        }
+
+        const saveUnique = retried => {
+          collection.findOne({ dedupeKey: data.dedupeKey, dedupeLock: true }, (err, original) => {
+            if (err) {
+              return done(err);
+            }
+
+            if (original) {
+              return done(null, { id: original._id, updated: false, duplicate: true });
+            }
+
+            save(data, (saveErr, result) => {
+              // another server added a hook with the same key first, so this one is its duplicate:
+              if (saveErr && saveErr.code === 11000 && !retried) {
+                return saveUnique(true);
+              }
+
+              done(saveErr, result);
+            });
+          });
+        };
+
+        saveUnique(false);
+      });
+    },
+    // claims hooks one at a time with findOneAndUpdate so that a hook can only ever
+    // be claimed by one worker, even when several servers share the collection:
+    claim(claimOptions, done) {
+      const claimed = [];
+      const query = {
+        status: {
+          $in: claimableStatuses
+        }
+      };
+
+      if (typeof claimOptions.id !== 'undefined') {
+        query._id = toId(claimOptions.id);
+      } else {
+        query.runAfter = {
+          $lte: new Date()
+        };
+      }
+
+      const update = {
+        $set: {
+          status: 'processing',
+          workerId: claimOptions.workerId,
+          leaseExpires: claimOptions.leaseExpires
+        }
+      };
+
+      const claimNext = () => {
+        if (claimOptions.limit && claimed.length >= claimOptions.limit) {
+          return done(null, claimed);
+        }
+
+        collection.findOneAndUpdate(query, update, { sort: { runAfter: 1 }, returnOriginal: false }, (err, result) => {
+          if (err) {
+            return done(err);
+          }
+
+          if (!result.value) {
+            return done(null, claimed);
+          }
+
+          // hooks claimed from 'failed' are active again while they run:
+          activate(result.value, (activateErr, hook) => {
+            if (activateErr) {
+              return done(activateErr);
+            }
+
+            claimed.push(hook);
+            claimNext();
+          });
+        });
+      };
+
+      claimNext();
+    },
+    // returns hooks whose lease ran out while processing to 'waiting', counting the attempt:
+    reap(done) {
+      const reaped = [];
+      const now = new Date();
+
+      const reapNext = () => {
+        collection.findOneAndUpdate({
+          status: 'processing',
+          leaseExpires: {
+            $lt: now
+          }
+        }, {
+          $set: {
+            status: 'waiting',
+            leaseExpires: null
+          },
+          $inc: {
+            runCount: 1
+          }
+        }, { returnOriginal: false }, (err, result) => {
+          if (err) {
+            return done(err);
+          }
+
+          if (!result.value) {
+            return done(null, reaped);
+          }
+
+          activate(result.value, (activateErr, hook) => {
+            if (activateErr) {
+              return done(activateErr);
+            }
+
+            reaped.push(hook);
+            reapNext();
+          });
+        });
+      };
+
+      reapNext();
+    },
+    update(id, fields, done) {
+      if (typeof fields.status === 'undefined') {
+        return collection.updateOne({ _id: toId(id) }, { $set: fields }, err => done(err));
+      }
+
+      // a hook moving to an active status, eg when it is resumed or requeued, is active again:
+      const active = activeStatuses.indexOf(fields.status) !== -1;
+      collection.updateOne({ _id: toId(id) }, { $set: Object.assign({}, fields, { active }) }, err => {
+        // unless another hook with the same hookId already is, then enqueue keeps updating that one:
+        if (err && err.code === 11000 && active) {
+          return collection.updateOne({ _id: toId(id) }, { $set: Object.assign({}, fields, { active: false }) }, retryErr => done(retryErr));
+        }
+
+        done(err);
+      });
+    },
+    remove(query, done) {
+      if (query && typeof query._id !== 'undefined') {
+        query = Object.assign({}, query, { _id: toId(query._id) });
+      }
+
+      collection.deleteMany(query, (err, result) => {
+        if (err) {
+          return done(err);
+        }
+
+        done(null, result.deletedCount);
+      });
+    },
+    count(query, done) {
+      collection.count(query, done);
+    },
+    find(query, findOptions, done) {
+      if (typeof findOptions === 'function') {
+        done = findOptions;
+        findOptions = {};
+      }
+
+      if (query && typeof query._id !== 'undefined') {
+        query = Object.assign({}, query, { _id: toId(query._id) });
+      }
+
+      const cursor = collection.find(query);
+
+      if (findOptions.sort) {
+        cursor.sort(findOptions.sort);
+      }
+
+      if (findOptions.skip) {
+        cursor.skip(findOptions.skip);
+      }
+
+      if (findOptions.limit) {
+        cursor.limit(findOptions.limit);
+      }
+
+      cursor.toArray(done);
+    },
+    // counts a call towards 'key' in fixed windows of 'interval' ms, shared by every server using the collection:
+    rateLimit(key, limitOptions, done) {
+      const now = new Date().getTime();
+      const start = now - (now % limitOptions.interval);
+
+      const increment = retried => {
+        rateLimits.findOneAndUpdate({
+          _id: `${key}:${start}`
+        }, {
+          $inc: { count: 1 },
+          $setOnInsert: { expires: new Date(start + limitOptions.interval) }
+        }, { upsert: true, returnOriginal: false }, (err, result) => {
+          // two servers inserting the same window at once, one of them gets a duplicate key error:
+          if (err && err.code === 11000 && !retried) {
+            return increment(true);
+          }
+
+          if (err) {
+            return done(err);
+          }
+
+          const allowed = result.value.count <= limitOptions.limit;
+          done(null, { allowed, retryAfter: allowed ? 0 : start + limitOptions.interval - now });
+        });
+      };
+
+      increment(false);
+    }
+  };
+};
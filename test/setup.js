@@ -4,65 +4,75 @@ const mongo = require('mongodb');
 const async = require('async');
 const hapiHooks = require('../');
 
+// the tests run against the in-memory store, or against mongo with HOOKS_STORE=mongo:
+const storeType = process.env.HOOKS_STORE || 'memory';
+const mongoOptions = {
+  host: process.env.MONGO_HOST || 'mongodb://localhost:27017/hapi-hooks-test',
+  collectionName: 'hapi-hooks'
+};
+
+// creates an empty store, dropping the collections left over from earlier tests when using mongo:
+const createStore = (type, callback) => {
+  if (type !== 'mongo') {
+    return callback(null, hapiHooks.stores.memory());
+  }
+
+  mongo.connect(mongoOptions.host, (err, db) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const suffixes = ['', '-rate-limits', '-dead-letter', '-archive'];
+    async.eachSeries(suffixes, (suffix, next) => {
+      // dropping a collection that doesn't exist yet is an error, which doesn't matter here:
+      db.collection(`${mongoOptions.collectionName}${suffix}`).drop(() => next());
+    }, () => {
+      db.close(false, () => callback(null, hapiHooks.stores.mongo(mongoOptions)));
+    });
+  });
+};
+
+// uses the store in the options, or a new one of the type picked by HOOKS_STORE:
 module.exports = (options, callback) => {
-  async.autoInject({
-    db(done) {
-      mongo.connect('mongodb://localhost:27017/hooks', done);
-    },
-    collection(db, done) {
-      done(null, db.collection(options.mongo.collectionName));
-    },
-    drop(collection, db, done) {
-      collection.remove(() => done());
-    },
-    server(drop, done) {
-      const server = new Hapi.Server({
-        debug: {
-          log: ['hapi-hooks', 'error']
+  const server = new Hapi.Server({
+    port: 8080,
+    debug: {
+      log: ['hapi-hooks', 'error']
+    }
+  });
+
+  const cleanup = (test, endMethod) => {
+    server.stop({ timeout: 250 })
+      .then(() => {
+        test.end();
+        if (endMethod) {
+          endMethod();
         }
       });
-      server.connection({ port: 8080 });
-      done(null, server);
-    },
-    register(server, done) {
-      server.register({
-        register: hapiHooks,
-        options: Object.assign({}, options)
-      }, done);
-    },
-    start(server, register, done) {
-      server.start(done);
-    }
-  }, (err, results) => {
+  };
+
+  const start = store => {
+    server.register({
+      plugin: hapiHooks,
+      options: Object.assign({ mongo: mongoOptions }, options, { store })
+    })
+      .then(() => server.start())
+      .then(() => callback(server, store, cleanup));
+  };
+
+  if (options.store) {
+    return start(options.store);
+  }
+
+  createStore(storeType, (err, store) => {
     if (err) {
       throw err;
     }
 
-    const cleanup = (test, endMethod) => {
-      async.autoInject({
-        stop(done) {
-          results.server.stop({ timeout: 250 }, done);
-        },
-        close(stop, done) {
-          results.db.close(true, done);
-        },
-        end(close, done) {
-          test.end();
-          done();
-        },
-        endMethod(end, done) {
-          if (endMethod) {
-            endMethod();
-          }
-          done();
-        }
-      }, (err2) => {
-        if (err) {
-          throw err2;
-        }
-      });
-    };
-
-    callback(results.server, results.collection, results.db, cleanup);
+    start(store);
   });
 };
+
+module.exports.storeType = storeType;
+module.exports.createStore = createStore;
+module.exports.mongoOptions = mongoOptions;
@@ -0,0 +1,119 @@
+const setup = require('./setup.js');
+const tap = require('tap');
+const async = require('async');
+const hapiHooks = require('../');
+
+tap.test('emits "hook:aborted" and calls onAborted with the errors of every attempt', (t) => {
+  let aborted = null;
+  setup({
+    interval: 50,
+    maxRetries: 2,
+    onAborted(hook, errors) {
+      aborted = { hook, errors };
+    },
+    hooks: {
+      doomed: ['fail']
+    }
+  }, (server, store, done) => {
+    let calls = 0;
+    server.method('fail', (data, callback) => {
+      calls++;
+      callback(new Error(`failure ${calls}`));
+    });
+    server.events.on('hook:aborted', (outcome) => {
+      t.equal(outcome.hook.hookId, 'doomed-1', 'passes the hook');
+      t.equal(outcome.hook.status, 'aborted');
+      t.equal(outcome.errors.length, 2, 'passes the errors of every attempt');
+      t.equal(outcome.errors[0].error, 'failure 1');
+      t.equal(outcome.errors[1].error, 'failure 2');
+      t.equal(outcome.errors[1].attempt, 2);
+      t.equal(outcome.errors[1].action, 'fail');
+      t.notEqual(aborted, null, 'calls onAborted');
+      t.equal(aborted.errors.length, 2);
+      store.find({ hookId: 'doomed-1' }, (err, hooks) => {
+        t.equal(err, null);
+        t.equal(hooks[0].status, 'aborted', 'leaves the aborted hook in the store');
+        done(t);
+      });
+    });
+    server.methods.hook('doomed', {}, { hookId: 'doomed-1' });
+  });
+});
+
+tap.test('moves aborted hooks to the dead letter store and can requeue them', (t) => {
+  const deadLetter = hapiHooks.stores.memory();
+  let fixed = false;
+  setup({
+    interval: 50,
+    maxRetries: 1,
+    deadLetter,
+    hooks: {
+      doomed: ['fail']
+    }
+  }, (server, store, done) => {
+    server.method('fail', (data, callback) => callback(fixed ? null : new Error('not fixed yet'), 'fixed'));
+    server.events.once('hook:aborted', () => {
+      async.autoInject({
+        remaining(next) {
+          store.count({ hookId: 'doomed-2' }, next);
+        },
+        dead(next) {
+          server.methods.deadLetters({ hookName: 'doomed' }, next);
+        },
+        requeued(remaining, dead, next) {
+          fixed = true;
+          server.methods.requeueDeadLetters({ hookName: 'doomed' }, next);
+        },
+        deadAfter(requeued, next) {
+          deadLetter.count({}, next);
+        }
+      }, (err, results) => {
+        t.equal(err, null);
+        t.equal(results.remaining, 0, 'removes the hook from the store');
+        t.equal(results.dead.length, 1, 'lists hooks in the dead letter store');
+        t.equal(results.dead[0].hookId, 'doomed-2');
+        t.equal(results.requeued, 1, 'reports how many hooks were requeued');
+        t.equal(results.deadAfter, 0, 'removes requeued hooks from the dead letter store');
+        server.events.on('hook:complete', (outcome) => {
+          t.equal(outcome.results[0].output, 'fixed', 'runs the requeued hook');
+          done(t);
+        });
+      });
+    });
+    server.methods.hook('doomed', {}, { hookId: 'doomed-2' });
+  });
+});
+
+tap.test('aborts as soon as the last retry fails, without waiting for the retry delay', (t) => {
+  setup({
+    interval: 50,
+    maxRetries: 2,
+    retry: { delay: 1500 },
+    onAborted() {
+      throw new Error('onAborted is broken');
+    },
+    hooks: {
+      doomed: ['fail']
+    }
+  }, (server, store, done) => {
+    let lastAttempt = null;
+    server.method('fail', (data, callback) => {
+      lastAttempt = new Date().getTime();
+      callback(new Error('failed'));
+    });
+    server.events.on('hook:aborted', (outcome) => {
+      t.ok(new Date().getTime() - lastAttempt < 500, 'aborts right after the last attempt');
+      t.equal(outcome.errors.length, 2);
+      // an onAborted that throws is logged instead of breaking the abort:
+      setTimeout(() => {
+        store.find({ hookId: 'doomed-3' }, (err, hooks) => {
+          t.equal(err, null);
+          t.equal(hooks[0].status, 'aborted');
+          t.equal(hooks[0].runCount, 2);
+          done(t);
+        });
+      }, 100);
+    });
+    server.methods.hook('doomed', {}, { hookId: 'doomed-3' });
+  });
+});
@@ -0,0 +1,69 @@
+const setup = require('./setup.js');
+const tap = require('tap');
+const retryDelay = require('../lib/methods/retryDelay');
+
+tap.test('calculates retry delays for each policy', (t) => {
+  t.equal(retryDelay({ policy: 'fixed', delay: 1000 }, 3), 1000, 'fixed delay');
+  t.equal(retryDelay({ policy: 'linear', delay: 1000 }, 3), 3000, 'linear delay');
+  t.equal(retryDelay({ policy: 'exponential', delay: 1000 }, 1), 1000, 'exponential delay');
+  t.equal(retryDelay({ policy: 'exponential', delay: 1000 }, 4), 8000, 'exponential delay');
+  t.equal(retryDelay({ policy: 'exponential', delay: 1000, factor: 3 }, 3), 9000, 'exponential delay with factor');
+  t.equal(retryDelay({ policy: 'exponential', delay: 1000, maxDelay: 5000 }, 10), 5000, 'caps at maxDelay');
+  for (let i = 0; i < 20; i++) {
+    const delay = retryDelay({ policy: 'fixed', delay: 1000, jitter: true }, 1);
+    t.ok(delay >= 500 && delay <= 1000, 'jitter stays within the second half of the delay');
+  }
+  t.end();
+});
+
+tap.test('pushes runAfter forward when a hook fails', (t) => {
+  setup({
+    interval: 100,
+    hooks: {
+      flaky: {
+        actions: ['callApi'],
+        retry: { policy: 'exponential', delay: 60000 }
+      }
+    }
+  }, (server, store, done) => {
+    server.method('callApi', (data, callback) => callback(new Error('api is down')));
+    const started = new Date().getTime();
+    server.events.on('hook:complete', () => {
+      store.find({ hookId: 'flaky-1' }, (err, hooks) => {
+        t.equal(err, null);
+        t.equal(hooks[0].status, 'failed');
+        t.ok(hooks[0].runAfter.getTime() >= started + 60000, 'will not retry until the delay has passed');
+        done(t);
+      });
+    });
+    server.methods.hook('flaky', {}, { hookId: 'flaky-1' });
+  });
+});
+
+tap.test('supports per-hook maxRetries', (t) => {
+  setup({
+    interval: 50,
+    maxRetries: 5,
+    hooks: {
+      once: {
+        actions: ['fail'],
+        maxRetries: 1
+      }
+    }
+  }, (server, store, done) => {
+    let calls = 0;
+    server.method('fail', (data, callback) => {
+      calls++;
+      callback(new Error('failed'));
+    });
+    server.methods.hook('once', {}, { hookId: 'once-1' });
+    setTimeout(() => {
+      store.find({ hookId: 'once-1' }, (err, hooks) => {
+        t.equal(err, null);
+        t.equal(calls, 1, 'only runs the hook once');
+        t.equal(hooks[0].status, 'aborted', 'aborts after the per-hook maxRetries');
+        done(t);
+      });
+    }, 400);
+  });
+});
@@ -1,14 +1,12 @@
 const setup = require('./setup.js');
 const tap = require('tap');
 const async = require('async');
+const childProcess = require('child_process');
+const path = require('path');
 const hookStatus = require('../lib/hookStatus');
 
 tap.test('adds a server method that will process an hook composed of actions', (t) => {
   setup({
-    mongo: {
-      host: 'mongodb://localhost:27017/hooks',
-      collectionName: 'hapi-hooks-test'
-    },
     interval: 100,
     hooks: {
       'after school': [
@@ -17,7 +15,7 @@ tap.test('adds a server method that will process an hook composed of actions', (
         'pottery',
       ]
     }
-  }, (server, collection, db, allDone) => {
+  }, (server, store, allDone) => {
     const numberOfCalls = {
       kickball: 0,
       trumpet: 0,
@@ -36,7 +34,7 @@ tap.test('adds a server method that will process an hook composed of actions', (
       callback(null, numberOfCalls.pottery);
     });
     let called = 0;
-    server.on('hook:complete', (outcome) => {
+    server.events.on('hook:complete', (outcome) => {
       const results = outcome.results;
       if (outcome.hook.hookData.name === 'bob') {
         t.equal(results.length, 3, 'reports outcomes for each hook action');
@@ -50,7 +48,8 @@ tap.test('adds a server method that will process an hook composed of actions', (
         called++;
       }
       if (called === 2) {
-        collection.findOne({}, (err, result) => {
+        store.find({}, { limit: 1 }, (err, hooks) => {
+          const result = hooks[0];
           t.equal(err, null);
           t.equal(result.status, 'complete');
           t.equal(result.results.length, 3);
@@ -72,17 +71,13 @@ tap.test('adds a server method that will process an hook composed of actions', (
 tap.test('adds a server method that will process another server method and data', (t) => {
   let numberOfCalls = 0;
   setup({
-    mongo: {
-      host: 'mongodb://localhost:27017/hooks',
-      collectionName: 'hapi-hooks-test'
-    },
     interval: 100,
     hooks: {
       'user.add': [
         'addToMailchimp("someId", user.email)',
       ]
     }
-  }, (server, collection, db, done) => {
+  }, (server, store, done) => {
     server.method('addToMailchimp', (id, email, callback) => {
       t.equal(email, 'bob@bob.com', 'resolves and passes data to method call');
       t.equal(id, 'someId', 'resolves and passes data to method');
@@ -90,7 +85,7 @@ tap.test('adds a server method that will process another server method and data'
       return callback(null, numberOfCalls);
     });
     server.methods.hook('user.add', { user: { email: 'bob@bob.com' } }, { hookId: 'user-add-bob' });
-    server.on('hook:complete', () => {
+    server.events.on('hook:complete', () => {
       t.equal(numberOfCalls > 0, true, 'calls correct number of times');
       done(t);
     });
@@ -99,15 +94,11 @@ tap.test('adds a server method that will process another server method and data'
 
 tap.test('supports foo.bar for methods', (t) => {
   setup({
-    mongo: {
-      host: 'mongodb://localhost:27017/hooks',
-      collectionName: 'hapi-hooks-test'
-    },
     interval: 100,
     hooks: {
       'after school': ['foo.bar']
     }
-  }, (server, collection, db, done) => {
+  }, (server, store, done) => {
     let numberOfCalls = 0;
     server.method('foo.bar', (data, callback) => {
       numberOfCalls ++;
@@ -118,7 +109,7 @@ tap.test('supports foo.bar for methods', (t) => {
       age: 7
     }, { hookId: 'user-bob' });
     let called = false;
-    server.on('hook:complete', () => {
+    server.events.on('hook:complete', () => {
       if (called) {
         return;
       }
@@ -132,10 +123,6 @@ tap.test('supports foo.bar for methods', (t) => {
 tap.test('"decorate" option will register the method with "server.decorate" instead of "server.method"', (t) => {
   setup({
     decorate: true,
-    mongo: {
-      host: 'mongodb://localhost:27017/hooks',
-      collectionName: 'hapi-hooks-test'
-    },
     interval: 100,
     hooks: {
       'after school': [
@@ -144,7 +131,7 @@ tap.test('"decorate" option will register the method with "server.decorate" inst
         'pottery',
       ]
     }
-  }, (server, collection, db, done) => {
+  }, (server, store, done) => {
     const numberOfCalls = {
       kickball: 0,
       trumpet: 0,
@@ -166,7 +153,7 @@ tap.test('"decorate" option will register the method with "server.decorate" inst
       name: 'bob',
       age: 7
     }, { hookId: 'user-bob' });
-    server.on('hook:complete', () => {
+    server.events.on('hook:complete', () => {
       t.equal(numberOfCalls.kickball, 1);
       t.equal(numberOfCalls.trumpet, 7);
       t.equal(numberOfCalls.pottery, 1);
@@ -178,10 +165,6 @@ tap.test('"decorate" option will register the method with "server.decorate" inst
 tap.test('handles actions passed in a { method s: <method>, data: <data> } form', (t) => {
   let passedData = null;
   setup({
-    mongo: {
-      host: 'mongodb://localhost:27017/hooks',
-      collectionName: 'hapi-hooks-test'
-    },
     interval: 100,
     hooks: {
       models: [{
@@ -189,7 +172,7 @@ tap.test('handles actions passed in a { method s: <method>, data: <data> } form'
         data: { data1: 'is data 1' }
       }]
     }
-  }, (server, collection, db, done) => {
+  }, (server, store, done) => {
     server.method('airplanes', (data, callback) => {
       passedData = data;
       callback(null, passedData);
@@ -197,7 +180,7 @@ tap.test('handles actions passed in a { method s: <method>, data: <data> } form'
     server.methods.hook('models', { data2: 'is data 2' }, { hookId: 'models-1' });
     server.methods.hook('models', { data1: 'is data 2' }, { hookId: 'models-2' });
     let called = 0;
-    server.on('hook:complete', (outcome) => {
+    server.events.on('hook:complete', (outcome) => {
       if (outcome.hook.hookData.data2 === 'is data 2') {
         called++;
       } else {
@@ -212,13 +195,9 @@ tap.test('handles actions passed in a { method s: <method>, data: <data> } form'
 
 tap.test('will not add an hook if it does not exist', (t) => {
   setup({
-    mongo: {
-      host: 'mongodb://localhost:27017/hooks',
-      collectionName: 'hapi-hooks-test'
-    },
     interval: 100,
     hooks: {} // no hooks
-  }, (server, collection, db, done) => {
+  }, (server, store, done) => {
     server.methods.hook('perpetual motion', {}, { hookId: 'doesnt-exist-sadface' });
     setTimeout(() => {
       done(t);
@@ -228,10 +207,6 @@ tap.test('will not add an hook if it does not exist', (t) => {
 
 tap.test('hook status only shows hooks that have completed since last run', (t) => {
   setup({
-    mongo: {
-      host: 'mongodb://localhost:27017/hooks',
-      collectionName: 'hapi-hooks-test'
-    },
     log: false,
     interval: 200,
     hooks: {
@@ -239,15 +214,15 @@ tap.test('hook status only shows hooks that have completed since last run', (t)
         'dodgeball'
       ]
     }
-  }, (server, collection, db, allDone) => {
+  }, (server, store, allDone) => {
     const intervalTime = new Date();
     async.autoInject({
       insert1(done) {
         // completedOn is previous to the last interval time:
-        collection.insert({ status: 'complete', completedOn: new Date(intervalTime.getTime() - 1000) }, done);
+        store.enqueue({ status: 'complete', completedOn: new Date(intervalTime.getTime() - 1000) }, done);
       },
       status1(insert1, done) {
-        hookStatus(collection, intervalTime, done);
+        hookStatus(store, intervalTime, done);
       },
       verify1(status1, done) {
         t.equal(status1.complete, 0, 'does not return hooks completed before interval time');
@@ -255,10 +230,10 @@ tap.test('hook status only shows hooks that have completed since last run', (t)
       },
       insert2(verify1, done) {
         // completedOn is after the last interval time:
-        collection.insert({ status: 'complete', completedOn: new Date(intervalTime.getTime() + 1000) }, done);
+        store.enqueue({ status: 'complete', completedOn: new Date(intervalTime.getTime() + 1000) }, done);
       },
       status2(insert2, done) {
-        hookStatus(collection, intervalTime, done);
+        hookStatus(store, intervalTime, done);
       },
       verify2(status2, done) {
         t.equal(status2.complete, 1, 'returns hooks completed after interval time');
@@ -272,10 +247,6 @@ tap.test('hook status only shows hooks that have completed since last run', (t)
 
 tap.test('will wait to process next batch of hooks until all previous hooks are done', (t) => {
   setup({
-    mongo: {
-      host: 'mongodb://localhost:27017/hooks',
-      collectionName: 'hapi-hooks-test'
-    },
     log: false,
     interval: 1000,
     hooks: {
@@ -286,7 +257,7 @@ tap.test('will wait to process next batch of hooks until all previous hooks are
         'kickball'
       ]
     }
-  }, (server, collection, db, done) => {
+  }, (server, store, done) => {
     let intervals = 0;
     server.method('kickball', (data, callback) => {
       // block until all intervals are done:
@@ -300,7 +271,7 @@ tap.test('will wait to process next batch of hooks until all previous hooks are
       // return immediately,
       callback();
     });
-    server.on('hook:query', (data) => {
+    server.events.on('hook:query', (data) => {
       intervals++;
       if (intervals > 6) {
         t.equal(data.complete < 3, true, 'finished only 1 or 2 processes in 7 intervals');
@@ -320,17 +291,13 @@ tap.test('will wait to process next batch of hooks until all previous hooks are
 
 tap.test('hookId updates existing hook', (t) => {
   setup({
-    mongo: {
-      host: 'mongodb://localhost:27017/hooks',
-      collectionName: 'hapi-hooks-test'
-    },
     interval: 500,
     hooks: {
       'hookId update': [
         'updateHook'
       ]
     }
-  }, (server, collection, db, done) => {
+  }, (server, store, done) => {
     const date1 = new Date(new Date().getTime() + 250);
     const date2 = new Date(new Date().getTime() + 3500);
     async.autoInject({
@@ -339,7 +306,7 @@ tap.test('hookId updates existing hook', (t) => {
         setTimeout(cb, 200);
       },
       checkCount(addHook, cb) {
-        collection.find({ hookId: 'hookid-update' }).toArray((err, res) => {
+        store.find({ hookId: 'hookid-update' }, (err, res) => {
           if (err) {
             return cb(err);
           }
@@ -353,7 +320,7 @@ tap.test('hookId updates existing hook', (t) => {
         setTimeout(cb, 200);
       },
       checkUpdated(updateHook, cb) {
-        collection.find({ hookId: 'hookid-update' }).toArray((err, res) => {
+        store.find({ hookId: 'hookid-update' }, (err, res) => {
           if (err) {
             return cb(err);
           }
@@ -370,3 +337,143 @@ tap.test('hookId updates existing hook', (t) => {
     });
   });
 });
+
+tap.test('hook returns a promise for the id of the queued hook', (t) => {
+  setup({
+    interval: 60000,
+    hooks: {
+      'after school': ['kickball']
+    }
+  }, (server, store, done) => {
+    server.method('kickball', (data, callback) => callback());
+    server.methods.hook('after school', { name: 'bob' }, { hookId: 'promise-bob' })
+      .then(id => {
+        store.find({ _id: id }, (err, hooks) => {
+          t.equal(err, null);
+          t.equal(hooks[0].hookId, 'promise-bob', 'resolves to the id of the stored hook');
+          return server.methods.hook('after school', { name: 'sven' }, { hookId: 'promise-bob' })
+            .then(updatedId => {
+              t.equal(updatedId, id, 'resolves to the id of the updated hook');
+              done(t);
+            });
+        });
+      });
+  });
+});
+
+tap.test('hook rejects unknown hooks and invalid schedules', (t) => {
+  setup({
+    interval: 60000,
+    hooks: {
+      'after school': ['kickball']
+    }
+  }, (server, store, done) => {
+    server.method('kickball', (data, callback) => callback());
+    server.methods.hook('perpetual motion', {}, { hookId: 'doesnt-exist' })
+      .catch(err => {
+        t.match(err.message, /Unknown hook 'perpetual motion'/, 'rejects unknown hook names');
+        return server.methods.hook('after school', {}, { hookId: 'bad-schedule', runEvery: 'every blue moon' });
+      })
+      .catch(err => {
+        t.match(err.message, /Invalid schedule/, 'rejects invalid schedules');
+        store.count({}, (countErr, count) => {
+          t.equal(countErr, null);
+          t.equal(count, 0, 'does not store anything');
+          done(t);
+        });
+      });
+  });
+});
+
+tap.test('hook accepts a callback', (t) => {
+  setup({
+    interval: 60000,
+    decorate: true,
+    hooks: {
+      'after school': ['kickball']
+    }
+  }, (server, store, done) => {
+    server.method('kickball', (data, callback) => callback());
+    server.hook('after school', { name: 'bob' }, (err, id) => {
+      t.equal(err, null);
+      t.notEqual(id, undefined, 'calls back with the hook id');
+      server.hook('perpetual motion', {}, {}, (unknownErr) => {
+        t.notEqual(unknownErr, null, 'calls back with errors');
+        done(t);
+      });
+    });
+  });
+});
+
+tap.test('errors thrown by a callback are not turned into unhandled rejections', (t) => {
+  // runs in its own process, as the error is uncaught:
+  const script = `
+    const Hapi = require('hapi');
+    const hapiHooks = require('./');
+    process.on('unhandledRejection', err => console.log('unhandled rejection: ' + err.message));
+    process.on('uncaughtException', err => console.log('uncaught exception: ' + err.message));
+    const server = new Hapi.Server();
+    server.register({
+      plugin: hapiHooks,
+      options: { store: hapiHooks.stores.memory(), interval: 60000, hooks: { 'after school': ['kickball'] } }
+    })
+      .then(() => server.initialize())
+      .then(() => server.methods.hook('after school', {}, { hookId: 'bob' }, () => {
+        throw new Error('callback failed');
+      }));
+    setTimeout(() => process.exit(), 500);
+  `;
+  childProcess.execFile(process.execPath, ['-e', script], { cwd: path.join(__dirname, '..'), timeout: 10000 }, (err, stdout) => {
+    t.error(err);
+    t.match(stdout, /^uncaught exception: callback failed$/m, 'throws the error from the callback');
+    t.notMatch(stdout, /unhandled rejection/);
+    t.end();
+  });
+});
+
+tap.test('supports actions that are async server methods', (t) => {
+  setup({
+    interval: 100,
+    hooks: {
+      modern: [
+        'asyncMethod',
+        'promiseMethod',
+        'failingMethod',
+        'expression(name)'
+      ]
+    }
+  }, (server, store, done) => {
+    server.method('asyncMethod', async data => `hello ${await Promise.resolve(data.name)}`);
+    server.method('promiseMethod', data => Promise.resolve(data.name.length));
+    server.method('failingMethod', async () => {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      throw new Error('async failure');
+    });
+    server.method('expression', async name => (await Promise.resolve(name)).toUpperCase());
+    server.events.once('hook:complete', (outcome) => {
+      t.equal(outcome.results[0].output, 'hello bob', 'supports async functions');
+      t.equal(outcome.results[1].output, 3, 'supports functions returning a promise');
+      t.equal(outcome.results[2].error, 'async failure', 'records rejections as errors');
+      t.equal(outcome.results[3].output, 'BOB', 'supports async functions in expressions');
+      done(t);
+    });
+    server.methods.hook('modern', { name: 'bob' }, { hookId: 'modern-bob' });
+  });
+});
+
+tap.test('waits for the callback of callback methods that return a value', (t) => {
+  setup({
+    interval: 100,
+    hooks: {
+      slow: ['slowMethod']
+    }
+  }, (server, store, done) => {
+    server.method('slowMethod', (data, callback) => setTimeout(() => callback(new Error('boom')), 200));
+    server.events.once('hook:complete', (outcome) => {
+      t.equal(outcome.results[0].error, 'boom', 'records the error passed to the callback');
+      t.equal(typeof outcome.results[0].output, 'undefined', 'does not use the return value as the output');
+      done(t);
+    });
+    server.methods.hook('slow', {}, { hookId: 'slow' });
+  });
+});
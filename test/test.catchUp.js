@@ -0,0 +1,165 @@
+const setup = require('./setup.js');
+const tap = require('tap');
+const hapiHooks = require('../');
+
+const hour = 60 * 60 * 1000;
+const lastHour = Math.floor(new Date().getTime() / hour) * hour;
+
+// a store with an hourly recurring hook that was due 'hoursAgo' hours ago:
+const missedStore = (hoursAgo, catchUp, callback) => {
+  const store = hapiHooks.stores.memory();
+  const due = new Date(lastHour - hoursAgo * hour);
+  store.enqueue({
+    hookName: 'bill',
+    hookData: {},
+    hookId: 'billing',
+    runEvery: 'every 1 hour',
+    catchUp,
+    status: 'waiting',
+    runAfter: due,
+    scheduledFor: due,
+    added: due
+  }, () => callback(store));
+};
+
+const recurring = catchUp => ({
+  billing: {
+    hook: 'bill',
+    schedule: 'every 1 hour',
+    catchUp
+  }
+});
+
+tap.test('runOnce runs a missed hook once and moves on to the next occurrence', (t) => {
+  missedStore(5, 'runOnce', store => {
+    setup({
+      store,
+      interval: 100,
+      hooks: { bill: ['charge'] },
+      recurring: recurring('runOnce')
+    }, (server, hookStore, done) => {
+      let runs = 0;
+      server.method('charge', (data, callback) => {
+        runs++;
+        callback();
+      });
+      server.events.once('hook:complete', () => {
+        setTimeout(() => {
+          hookStore.find({ hookId: 'billing', status: 'waiting' }, (err, hooks) => {
+            t.error(err);
+            t.equal(runs, 1, 'runs once');
+            t.equal(hooks.length, 1);
+            t.ok(hooks[0].runAfter > new Date(), 'next run is in the future');
+            done(t);
+          });
+        }, 500);
+      });
+    });
+  });
+});
+
+tap.test('skip does not run a missed hook', (t) => {
+  missedStore(5, 'skip', store => {
+    setup({
+      store,
+      interval: 100,
+      hooks: { bill: ['charge'] },
+      recurring: recurring('skip')
+    }, (server, hookStore, done) => {
+      let runs = 0;
+      server.method('charge', (data, callback) => {
+        runs++;
+        callback();
+      });
+      setTimeout(() => {
+        hookStore.find({ hookId: 'billing' }, (err, hooks) => {
+          t.error(err);
+          t.equal(runs, 0, 'never runs');
+          t.equal(hooks.length, 1);
+          t.equal(hooks[0].status, 'waiting');
+          t.ok(hooks[0].runAfter > new Date(), 'next run is in the future');
+          done(t);
+        });
+      }, 500);
+    });
+  });
+});
+
+tap.test('skip still runs a hook that is late but has not missed another occurrence', (t) => {
+  missedStore(0, 'skip', store => {
+    setup({
+      store,
+      interval: 100,
+      hooks: { bill: ['charge'] },
+      recurring: recurring('skip')
+    }, (server, hookStore, done) => {
+      server.method('charge', (data, callback) => callback(null, 'charged'));
+      server.events.once('hook:complete', outcome => {
+        t.equal(outcome.results[0].output, 'charged');
+        done(t);
+      });
+    });
+  });
+});
+
+tap.test('skip runs a hook whose schedule is shorter than the poll interval', (t) => {
+  setup({
+    interval: 1500,
+    hooks: { tick: ['count'] }
+  }, (server, store, done) => {
+    let runs = 0;
+    server.method('count', (data, callback) => {
+      runs++;
+      callback();
+    });
+    server.methods.hook('tick', {}, { hookId: 'tick', runEvery: 'every 1 second', catchUp: 'skip' });
+    setTimeout(() => {
+      t.ok(runs >= 2, `runs on every poll (ran ${runs} times)`);
+      done(t);
+    }, 5000);
+  });
+});
+
+tap.test('runAll runs every missed occurrence, up to the limit', (t) => {
+  const catchUp = { policy: 'runAll', limit: 3 };
+  missedStore(10, catchUp, store => {
+    setup({
+      store,
+      interval: 100,
+      hooks: { bill: ['charge'] },
+      recurring: recurring(catchUp)
+    }, (server, hookStore, done) => {
+      const scheduled = [];
+      server.method('charge', (data, callback) => callback());
+      server.events.on('hook:start', hook => {
+        scheduled.push(new Date(hook.scheduledFor).getTime());
+      });
+      setTimeout(() => {
+        t.deepEqual(scheduled, [
+          lastHour - 10 * hour,
+          lastHour - 2 * hour,
+          lastHour - hour,
+          lastHour
+        ], 'runs the missed hook, then the most recent missed occurrences in order');
+        hookStore.find({ hookId: 'billing', status: 'waiting' }, (err, hooks) => {
+          t.error(err);
+          t.equal(hooks.length, 1);
+          t.equal(new Date(hooks[0].runAfter).getTime(), lastHour + hour, 'then waits for the next occurrence');
+          done(t);
+        });
+      }, 1000);
+    });
+  });
+});
+
+tap.test('rejects an invalid catchUp policy', (t) => {
+  setup({
+    hooks: { bill: ['charge'] }
+  }, (server, store, done) => {
+    server.methods.hook('bill', {}, { runEvery: 'every 1 hour', hookId: 'billing', catchUp: 'sometimes' })
+      .catch(err => {
+        t.equal(err.message, "Invalid catchUp policy 'sometimes', expected one of skip, runOnce, runAll");
+        done(t);
+      });
+  });
+});
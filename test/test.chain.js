@@ -0,0 +1,82 @@
+const setup = require('./setup.js');
+const tap = require('tap');
+const Hapi = require('hapi');
+const hapiHooks = require('../');
+
+tap.test('queues a hook\'s onComplete hooks with its data and results', (t) => {
+  setup({
+    interval: 100,
+    hooks: {
+      'process upload': {
+        actions: ['resize'],
+        onComplete: 'notify'
+      },
+      notify: ['sendNotification']
+    }
+  }, (server, store, done) => {
+    server.method('resize', (data, callback) => callback(null, { width: 100 }));
+    server.method('sendNotification', (data, callback) => {
+      t.equal(data.file, 'cat.jpg', 'gets the original hook data');
+      t.deepEqual(data.results[0].output, { width: 100 }, 'gets the results');
+      callback();
+    });
+    server.events.on('hook:complete', (outcome) => {
+      if (outcome.hook.hookName !== 'notify') {
+        return;
+      }
+
+      t.match(outcome.hook.hookId, /:notify$/, 'is given a hookId from the hook that started it');
+      done(t);
+    });
+    server.methods.hook('process upload', { file: 'cat.jpg' }, { hookId: 'upload-1' });
+  });
+});
+
+tap.test('queues a hook\'s onFailure hooks when it is aborted', (t) => {
+  setup({
+    interval: 100,
+    maxRetries: 1,
+    hooks: {
+      'process upload': {
+        actions: ['resize'],
+        onComplete: 'notify',
+        onFailure: ['alert']
+      },
+      notify: ['sendNotification'],
+      alert: ['sendAlert']
+    }
+  }, (server, store, done) => {
+    server.method('resize', (data, callback) => callback(new Error('corrupt file')));
+    server.method('sendNotification', (data, callback) => {
+      t.fail('does not run onComplete hooks');
+      callback();
+    });
+    server.method('sendAlert', (data, callback) => {
+      t.equal(data.file, 'cat.jpg', 'gets the original hook data');
+      t.equal(data.results[0].error, 'corrupt file', 'gets the results');
+      t.equal(data.errors[0].error, 'corrupt file', 'gets the errors of every attempt');
+      done(t);
+      return callback();
+    });
+    server.methods.hook('process upload', { file: 'cat.jpg' }, { hookId: 'upload-1' });
+  });
+});
+
+tap.test('fails to register with an unknown onComplete hook', (t) => {
+  const server = new Hapi.Server();
+  server.register({
+    plugin: hapiHooks,
+    options: {
+      store: hapiHooks.stores.memory(),
+      hooks: {
+        'process upload': { actions: ['resize'], onComplete: 'notfiy' }
+      }
+    }
+  }).then(() => {
+    t.fail('should not register');
+    t.end();
+  }, err => {
+    t.equal(err.message, 'Hook \'process upload\' has an unknown onComplete hook \'notfiy\'');
+    t.end();
+  });
+});
@@ -0,0 +1,185 @@
+const setup = require('./setup.js');
+const tap = require('tap');
+const async = require('async');
+
+tap.test('cancelHook stops a waiting hook from running', (t) => {
+  setup({
+    interval: 50,
+    hooks: {
+      reminder: ['remind']
+    }
+  }, (server, store, done) => {
+    server.method('remind', (data, callback) => {
+      t.fail('cancelled hook should not run');
+      callback();
+    });
+    server.methods.hook('reminder', {}, { hookId: 'reminder-1', runAfter: new Date(new Date().getTime() + 150) });
+    setTimeout(() => {
+      server.methods.cancelHook('reminder-1', (err, hook) => {
+        t.equal(err, null);
+        t.equal(hook.status, 'cancelled');
+        setTimeout(() => {
+          store.find({ hookId: 'reminder-1' }, (findErr, hooks) => {
+            t.equal(findErr, null);
+            t.equal(hooks.length, 1);
+            t.equal(hooks[0].status, 'cancelled', 'is never picked up');
+            server.methods.cancelHook('does-not-exist', (notFound) => {
+              t.notEqual(notFound, null, 'errors if there is no hook to cancel');
+              done(t);
+            });
+          });
+        }, 300);
+      });
+    }, 50);
+  });
+});
+
+tap.test('pauseHook and resumeHook stop and restart a recurring hook', (t) => {
+  setup({
+    interval: 50,
+    decorate: true,
+    hooks: {
+      tick: ['count']
+    }
+  }, (server, store, done) => {
+    let calls = 0;
+    let paused = false;
+    server.method('count', (data, callback) => {
+      calls++;
+      if (calls === 1) {
+        // pausing while the hook is running lets it finish but repeats it paused:
+        return server.pauseHook('tick-1', (err, hook) => {
+          t.equal(err, null);
+          t.equal(hook.status, 'paused');
+          paused = true;
+          callback();
+        });
+      }
+      callback();
+    });
+    server.hook('tick', {}, { hookId: 'tick-1', runEvery: 'every 1 second' });
+    async.until(() => paused, next => setTimeout(next, 50), () => {
+      setTimeout(() => {
+        store.find({ hookId: 'tick-1' }, { sort: { added: 1 } }, (err, hooks) => {
+          t.equal(err, null);
+          t.equal(calls, 1, 'does not run while paused');
+          t.equal(hooks[0].status, 'complete', 'the running hook completes');
+          t.equal(hooks[1].status, 'paused', 'the next run is paused');
+          server.resumeHook('tick-1', (resumeErr, hook) => {
+            t.equal(resumeErr, null);
+            t.equal(hook.status, 'waiting', 'resumes the hook');
+            async.until(() => calls > 1, next => setTimeout(next, 50), () => {
+              t.pass('runs again once resumed');
+              done(t);
+            });
+          });
+        });
+      }, 1500);
+    });
+  });
+});
+
+tap.test('a recurring hook cancelled while running is not repeated', (t) => {
+  setup({
+    interval: 50,
+    hooks: {
+      tick: ['count']
+    }
+  }, (server, store, done) => {
+    let calls = 0;
+    server.method('count', (data, callback) => {
+      calls++;
+      server.methods.cancelHook('tick-2', () => callback());
+    });
+    server.methods.hook('tick', {}, { hookId: 'tick-2', runEvery: 'every 1 second' });
+    setTimeout(() => {
+      store.find({ hookId: 'tick-2' }, (err, hooks) => {
+        t.equal(err, null);
+        t.equal(calls, 1, 'only runs once');
+        t.equal(hooks.length, 1, 'is not repeated');
+        t.equal(hooks[0].status, 'cancelled');
+        done(t);
+      });
+    }, 2500);
+  });
+});
+
+tap.test('cancelHook cancels both the failed run of a recurring hook and its next run', (t) => {
+  setup({
+    interval: 50,
+    retry: { delay: 60 * 1000 },
+    hooks: {
+      tick: ['fail']
+    }
+  }, (server, store, done) => {
+    server.method('fail', (data, callback) => callback(new Error('failed')));
+    server.events.once('hook:complete', () => {
+      // wait for the next run to be queued:
+      setTimeout(() => {
+        server.methods.cancelHook('tick-3', (err, hook) => {
+          t.equal(err, null);
+          t.equal(hook.status, 'cancelled');
+          store.find({ hookId: 'tick-3' }, { sort: { added: 1 } }, (findErr, hooks) => {
+            t.equal(findErr, null);
+            t.deepEqual(hooks.map(h => h.status), ['cancelled', 'cancelled'], 'cancels every run');
+            done(t);
+          });
+        });
+      }, 100);
+    });
+    server.methods.hook('tick', {}, { hookId: 'tick-3', runEvery: 'every 1 hour', runAfter: new Date() });
+  });
+});
+
+tap.test('a recurring hook is not repeated if a later run was cancelled', (t) => {
+  setup({
+    interval: 60 * 1000,
+    hooks: {
+      tick: ['count']
+    }
+  }, (server, store, done) => {
+    server.method('count', (data, callback) => callback());
+    const now = new Date().getTime();
+    const failed = { hookName: 'tick', hookId: 'tick-4', hookData: {}, runEvery: 'every 1 hour', status: 'failed', runCount: 1, runAfter: new Date(now + 60 * 1000), added: new Date(now - 1000) };
+    const next = Object.assign({}, failed, { status: 'cancelled', runCount: 0, added: new Date(now) });
+    store.enqueue(failed, (err, result) => {
+      t.equal(err, null);
+      store.enqueue(next, (nextErr) => {
+        t.equal(nextErr, null);
+        server.methods.retryHook(result.id, (retryErr) => {
+          t.equal(retryErr, null);
+          setTimeout(() => {
+            store.find({ hookId: 'tick-4' }, { sort: { added: 1 } }, (findErr, hooks) => {
+              t.equal(findErr, null);
+              t.deepEqual(hooks.map(h => h.status), ['complete', 'cancelled'], 'does not queue another run');
+              done(t);
+            });
+          }, 100);
+        });
+      });
+    });
+  });
+});
+
+tap.test('cancelHook and pauseHook reject a missing hookId', (t) => {
+  setup({
+    interval: 50,
+    hooks: {
+      reminder: ['remind']
+    }
+  }, (server, store, done) => {
+    server.method('remind', (data, callback) => callback());
+    // a hook without a hookId must not be matched by a missing one:
+    server.methods.hook('reminder', {}, { runAfter: new Date(new Date().getTime() + 60000) })
+      .then(() => server.methods.cancelHook(undefined))
+      .then(() => t.fail('cancelHook should reject'), err => t.match(err.message, /hookId must be a non-empty string/))
+      .then(() => server.methods.pauseHook(''))
+      .then(() => t.fail('pauseHook should reject'), err => t.match(err.message, /hookId must be a non-empty string/))
+      .then(() => store.find({}, (err, hooks) => {
+        t.error(err);
+        t.equal(hooks.length, 1);
+        t.equal(hooks[0].status, 'waiting', 'leaves other hooks alone');
+        done(t);
+      }));
+  });
+});
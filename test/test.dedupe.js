@@ -0,0 +1,119 @@
+const setup = require('./setup.js');
+const tap = require('tap');
+const Hapi = require('hapi');
+const hapiHooks = require('../');
+
+tap.test('ignores hooks with the same dedupe fields within the window, even after they completed', (t) => {
+  setup({
+    interval: 100,
+    hooks: {
+      'contact form': {
+        actions: ['sendEmail'],
+        dedupe: { fields: ['email', 'formId'], window: 60 * 1000 }
+      }
+    }
+  }, (server, store, done) => {
+    let emails = 0;
+    server.method('sendEmail', (data, callback) => {
+      emails++;
+      callback();
+    });
+    server.events.once('hook:complete', () => {
+      Promise.all([
+        server.methods.hook('contact form', { email: 'bob@bob.com', formId: 1, message: 'hi again' }),
+        server.methods.hook('contact form', { email: 'bob@bob.com', formId: 2 })
+      ]).then(ids => setTimeout(() => {
+        store.find({}, (err, hooks) => {
+          t.error(err);
+          t.equal(String(ids[0]), String(hooks[0]._id), 'calls back with the id of the original hook');
+          t.equal(hooks.length, 2, 'only adds hooks with a different key');
+          t.equal(hooks[0].dedupeKey, 'contact form:["bob@bob.com",1]');
+          t.equal(emails, 2);
+          done(t);
+        });
+      }, 300));
+    });
+    server.methods.hook('contact form', { email: 'bob@bob.com', formId: 1, message: 'hi' })
+      .then(() => server.methods.hook('contact form', { email: 'bob@bob.com', formId: 1, message: 'hi' }));
+  });
+});
+
+tap.test('dedupe keys can come from a function, and old hooks outside the window are not duplicates', (t) => {
+  setup({
+    interval: 100,
+    hooks: {
+      signup: {
+        actions: ['welcome'],
+        dedupe: { key: data => data.email.toLowerCase(), window: 50 }
+      }
+    }
+  }, (server, store, done) => {
+    let welcomed = 0;
+    server.method('welcome', (data, callback) => {
+      welcomed++;
+      callback();
+    });
+    server.events.on('hook:complete', () => {
+      if (welcomed === 1) {
+        setTimeout(() => server.methods.hook('signup', { email: 'bob@bob.com' }), 100);
+        return;
+      }
+
+      store.find({ dedupeKey: 'signup:bob@bob.com' }, (err, hooks) => {
+        t.error(err);
+        t.equal(hooks.length, 2, 'adds the hook again once the window has passed');
+        done(t);
+      });
+    });
+    server.methods.hook('signup', { email: 'Bob@bob.com' })
+      .then(() => server.methods.hook('signup', { email: 'BOB@bob.com' }));
+  });
+});
+
+tap.test('concurrent hooks with the same dedupe key are only added once', (t) => {
+  setup({
+    interval: 60 * 1000,
+    hooks: {
+      contact: {
+        actions: ['sendEmail'],
+        dedupe: { fields: ['email'], window: 10 * 60 * 1000 }
+      }
+    }
+  }, (server, store, done) => {
+    server.method('sendEmail', (data, callback) => callback());
+    Promise.all([
+      server.methods.hook('contact', { email: 'bob@bob.com' }),
+      server.methods.hook('contact', { email: 'bob@bob.com' }),
+      server.methods.hook('contact', { email: 'bob@bob.com' })
+    ]).then(ids => {
+      store.find({}, (err, hooks) => {
+        t.error(err);
+        t.equal(hooks.length, 1, 'stores one hook');
+        t.deepEqual(ids.map(String), [0, 1, 2].map(() => String(hooks[0]._id)), 'every call resolves with its id');
+        done(t);
+      });
+    });
+  });
+});
+
+tap.test('fails to register with a dedupe option that has no key or fields', (t) => {
+  const register = dedupe => {
+    const server = new Hapi.Server();
+    return server.register({
+      plugin: hapiHooks,
+      options: {
+        store: hapiHooks.stores.memory(),
+        hooks: {
+          'new signup': { actions: ['sendEmail'], dedupe }
+        }
+      }
+    }).then(() => t.fail('should not register'), err => {
+      t.equal(err.message, 'Hook \'new signup\' has a dedupe option without a key function or a list of fields');
+    });
+  };
+
+  register(true)
+    .then(() => register({ window: 60 * 1000 }))
+    .then(() => register({ fields: [] }))
+    .then(() => t.end());
+});
@@ -3,15 +3,11 @@ const tap = require('tap');
 
 tap.test('can handle and report callback errors during an action', (t) => {
   setup({
-    mongo: {
-      host: 'mongodb://localhost:27017/hooks',
-      collectionName: 'hapi-hooks-test'
-    },
     interval: 100,
     hooks: {
       'before school': ['breakfast']
     }
-  }, (server, collection, db, done) => {
+  }, (server, store, done) => {
     server.method('breakfast', (data, callback) => callback('I am an error'));
 
     server.methods.hook('before school', {
@@ -19,8 +15,9 @@ tap.test('can handle and report callback errors during an action', (t) => {
       age: 5
     }, { hookId: 'breakfast-1' });
 
-    server.on('hook:complete', () => {
-      collection.findOne({}, (err2, hook) => {
+    server.events.on('hook:complete', () => {
+      store.find({}, { limit: 1 }, (err2, hooks) => {
+        const hook = hooks[0];
         t.equal(hook.results.length, 1);
         t.equal(hook.results[0].error, 'I am an error');
         return done(t);
@@ -32,17 +29,13 @@ tap.test('can handle and report callback errors during an action', (t) => {
 
 tap.test('will return error if hook id does not exist', (t) => {
   setup({
-    mongo: {
-      host: 'mongodb://localhost:27017/hooks',
-      collectionName: 'hapi-hooks-test'
-    },
     interval: 1000,
     hooks: {
       repeat: [
         'repeatableHook()',
       ]
     }
-  }, (server, collection, db, done) => {
+  }, (server, store, done) => {
     server.methods.retryHook('does_not_exist', (err, res) => {
       t.notEqual(err, null);
       done(t);
@@ -52,10 +45,6 @@ tap.test('will return error if hook id does not exist', (t) => {
 
 tap.test('will return error if hook id does not exist when used as decoration', (t) => {
   setup({
-    mongo: {
-      host: 'mongodb://localhost:27017/hooks',
-      collectionName: 'hapi-hooks-test'
-    },
     interval: 1000,
     decorate: true,
     hooks: {
@@ -63,7 +52,7 @@ tap.test('will return error if hook id does not exist when used as decoration',
         'repeatableHook()',
       ]
     }
-  }, (server, collection, db, done) => {
+  }, (server, store, done) => {
     server.retryHook('does_not_exist', (err, res) => {
       t.notEqual(err, null);
       done(t);
@@ -0,0 +1,134 @@
+const setup = require('./setup.js');
+const tap = require('tap');
+const http = require('http');
+const url = require('url');
+const Hapi = require('hapi');
+const hapiHooks = require('../');
+
+// a plain server for the webhooks to call, 'respond' gets each request with its parsed body:
+const receiver = (respond, callback) => {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      req.body = body && req.headers['content-type'] === 'application/json' ? JSON.parse(body) : body;
+      req.url = url.parse(req.url, true);
+      respond(req, res);
+    });
+  });
+
+  server.listen(8081, () => callback(server));
+};
+
+const reply = (res, statusCode, body) => {
+  res.writeHead(statusCode, { 'content-type': typeof body === 'string' ? 'text/plain' : 'application/json' });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+};
+
+tap.test('http actions send the hook data and store the response body', (t) => {
+  const requests = [];
+  receiver((req, res) => {
+    requests.push({ method: req.method, path: req.url.pathname, query: req.url.query, header: req.headers['x-user'], body: req.body });
+
+    if (req.url.pathname === '/welcome') {
+      return reply(res, 200, 'sent');
+    }
+
+    reply(res, 201, { saved: true });
+  }, (webhooks) => {
+    setup({
+      interval: 100,
+      hooks: {
+        'new user': [
+          { http: { url: 'http://localhost:8081/users/{{user.id}}', method: 'put', headers: { 'x-user': '{{user.name}}' } } },
+          { http: { url: 'http://localhost:8081/welcome', body: { to: '{{user.name}}', user: '{{user}}', text: 'Hi {{user.name}}' } } },
+          { http: { url: 'http://localhost:8081/status?name={{user.name}}', method: 'GET' } }
+        ]
+      }
+    }, (server, store, done) => {
+      server.events.on('hook:complete', (outcome) => {
+        const results = outcome.results;
+        t.equal(results[0].action, 'PUT http://localhost:8081/users/{{user.id}}', 'names the action by its method and url');
+        t.deepEqual(results[0].output, { saved: true }, 'parses json responses');
+        t.equal(results[1].output, 'sent', 'keeps other responses as text');
+        requests.sort((a, b) => a.path.localeCompare(b.path));
+        t.deepEqual(requests[0], {
+          method: 'GET',
+          path: '/status',
+          query: { name: 'bob smith' },
+          header: undefined,
+          body: ''
+        }, 'encodes values in the url');
+        t.deepEqual(requests[1], {
+          method: 'PUT',
+          path: '/users/b1',
+          query: {},
+          header: 'bob smith',
+          body: { user: { id: 'b1', name: 'bob smith' } }
+        }, 'sends the hook data by default');
+        t.deepEqual(requests[2].body, {
+          to: 'bob smith',
+          user: { id: 'b1', name: 'bob smith' },
+          text: 'Hi bob smith'
+        }, 'fills in the body from the hook data');
+        webhooks.close();
+        done(t);
+      });
+      server.methods.hook('new user', { user: { id: 'b1', name: 'bob smith' } }, { hookId: 'b1' });
+    });
+  });
+});
+
+tap.test('http actions fail on an error status or a timeout', (t) => {
+  receiver((req, res) => {
+    if (req.url.pathname === '/broken') {
+      return reply(res, 500, { message: 'nope' });
+    }
+
+    setTimeout(() => reply(res, 200, 'late'), 200);
+  }, (webhooks) => {
+    setup({
+      interval: 100,
+      retry: { delay: 60000 },
+      hooks: {
+        notify: [
+          { http: { url: 'http://localhost:8081/broken' } },
+          { http: { url: 'http://localhost:8081/slow' }, timeout: 50 }
+        ]
+      }
+    }, (server, store, done) => {
+      server.events.on('hook:complete', (outcome) => {
+        t.equal(outcome.results[0].error, 'POST http://localhost:8081/broken responded with 500', 'fails on an error status');
+        t.notEqual(typeof outcome.results[1].error, 'undefined', 'uses the action timeout');
+        store.find({}, (err, hooks) => {
+          t.error(err);
+          t.equal(hooks[0].status, 'failed');
+          webhooks.close();
+          done(t);
+        });
+      });
+      server.methods.hook('notify', {}, { hookId: 'notify-1' });
+    });
+  });
+});
+
+tap.test('fails to register with an invalid http action', (t) => {
+  const server = new Hapi.Server();
+  server.register({
+    plugin: hapiHooks,
+    options: {
+      store: hapiHooks.stores.memory(),
+      hooks: {
+        notify: [{ http: { url: 'localhost/notify' } }]
+      }
+    }
+  }).then(() => {
+    t.fail('should not register');
+    t.end();
+  }, (err) => {
+    t.match(err.message, "Invalid http action in hook 'notify'");
+    t.end();
+  });
+});
@@ -0,0 +1,40 @@
+const setup = require('./setup.js');
+const tap = require('tap');
+
+tap.test('serves hook queue metrics in the prometheus text format', (t) => {
+  setup({
+    interval: 100,
+    metrics: true,
+    retry: { delay: 60000 },
+    hooks: {
+      signup: ['sendEmail'],
+      flaky: ['callApi']
+    }
+  }, (server, store, done) => {
+    server.method('sendEmail', (data, callback) => callback(null, 'sent'));
+    server.method('callApi', (data, callback) => callback(new Error('api is down')));
+    let completed = 0;
+    server.events.on('hook:complete', () => {
+      completed++;
+      if (completed !== 2) {
+        return;
+      }
+      server.inject({ method: 'GET', url: '/hooks/metrics' })
+        .then(res => {
+          t.equal(res.statusCode, 200);
+          t.match(res.headers['content-type'], /^text\/plain/);
+          t.match(res.payload, /# TYPE hapi_hooks_enqueued_total counter/);
+          t.match(res.payload, /hapi_hooks_enqueued_total\{hook="signup"\} 1/, 'counts enqueued hooks by name');
+          t.match(res.payload, /hapi_hooks_completed_total\{hook="signup"\} 1/, 'counts completed hooks by name');
+          t.match(res.payload, /hapi_hooks_failed_total\{hook="flaky"\} 1/, 'counts failed hooks by name');
+          t.match(res.payload, /hapi_hooks_action_duration_seconds_bucket\{hook="signup",action="sendEmail",le="\+Inf"\} 1/, 'tracks action durations');
+          t.match(res.payload, /hapi_hooks_action_duration_seconds_count\{hook="signup",action="sendEmail"\} 1/);
+          t.match(res.payload, /hapi_hooks_queue_lag_seconds_count\{hook="signup"\} 1/, 'tracks queue lag');
+          t.match(res.payload, /hapi_hooks_queue\{status="waiting"\} \d+/, 'reports the queue size');
+          done(t);
+        });
+    });
+    server.methods.hook('signup', {}, { hookId: 'signup-1' });
+    server.methods.hook('flaky', {}, { hookId: 'flaky-1' });
+  });
+});
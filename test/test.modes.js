@@ -0,0 +1,70 @@
+const setup = require('./setup.js');
+const tap = require('tap');
+
+tap.test('"series" hooks run their actions in order and stop at the first failure', (t) => {
+  setup({
+    interval: 100,
+    retry: { delay: 60000 },
+    hooks: {
+      ordered: {
+        mode: 'series',
+        actions: ['first', 'second', 'third']
+      }
+    }
+  }, (server, store, done) => {
+    const called = [];
+    server.method('first', (data, callback) => {
+      setTimeout(() => {
+        called.push('first');
+        callback(null, { id: 1 });
+      }, 50);
+    });
+    server.method('second', (data, callback) => {
+      called.push('second');
+      t.equal(data.id, undefined, 'series actions do not get the previous output');
+      callback(new Error('second failed'));
+    });
+    server.method('third', (data, callback) => {
+      called.push('third');
+      callback();
+    });
+    server.events.on('hook:complete', (outcome) => {
+      t.deepEqual(called, ['first', 'second'], 'runs in order and stops after a failure');
+      t.equal(outcome.results[1].error, 'second failed');
+      t.equal(outcome.results[2].action, 'third');
+      t.equal(outcome.results[2].notRun, true, 'marks the actions that did not run');
+      done(t);
+    });
+    server.methods.hook('ordered', { name: 'bob' }, { hookId: 'ordered-1' });
+  });
+});
+
+tap.test('"pipeline" hooks pass each action the output of the previous one', (t) => {
+  setup({
+    interval: 100,
+    hooks: {
+      workflow: {
+        mode: 'pipeline',
+        actions: ['createRecord', 'emailRecord', { method: 'updateCrm', data: { crm: 'salesforce' } }]
+      }
+    }
+  }, (server, store, done) => {
+    server.method('createRecord', (data, callback) => callback(null, { recordId: 42 }));
+    server.method('emailRecord', (data, callback) => {
+      t.equal(data.recordId, 42, 'gets the previous output');
+      t.equal(data.email, 'bob@bob.com', 'still gets the hook data');
+      callback(null, { emailed: true });
+    });
+    server.method('updateCrm', (data, callback) => {
+      t.equal(data.recordId, 42, 'gets the output of every previous action');
+      t.equal(data.emailed, true);
+      t.equal(data.crm, 'salesforce', 'gets the action data');
+      callback(null, 'done');
+    });
+    server.events.on('hook:complete', (outcome) => {
+      t.equal(outcome.results[2].output, 'done');
+      done(t);
+    });
+    server.methods.hook('workflow', { email: 'bob@bob.com' }, { hookId: 'workflow-1' });
+  });
+});
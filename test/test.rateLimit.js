@@ -0,0 +1,75 @@
+const setup = require('./setup.js');
+const tap = require('tap');
+const Hapi = require('hapi');
+const hapiHooks = require('../');
+
+tap.test('actions over their rate limit are deferred instead of failing', (t) => {
+  setup({
+    interval: 100,
+    maxRetries: 1,
+    hooks: {
+      'sync user': [
+        'logSync',
+        { method: 'callApi', rateLimit: { limit: 1, interval: 300 } }
+      ]
+    }
+  }, (server, store, done) => {
+    const calls = { logSync: 0, callApi: 0 };
+    server.method('logSync', (data, callback) => {
+      calls.logSync++;
+      callback();
+    });
+    server.method('callApi', (data, callback) => {
+      calls.callApi++;
+      callback(null, data.user);
+    });
+
+    const deferred = [];
+    server.events.on('hook:deferred', (outcome) => {
+      deferred.push(outcome.hook.hookId);
+      t.equal(outcome.results[1].deferred, true, 'marks the deferred action');
+      t.ok(outcome.delay > 0 && outcome.delay <= 300, 'passes how long it was put off for');
+    });
+
+    let completed = 0;
+    server.events.on('hook:complete', () => {
+      completed++;
+      if (completed < 3) {
+        return;
+      }
+
+      store.find({}, (err, hooks) => {
+        t.error(err);
+        t.ok(deferred.length >= 1, 'defers the calls over the limit');
+        t.equal(calls.callApi, 3, 'calls each rate limited action once');
+        t.equal(calls.logSync, 3, 'does not repeat actions that already ran');
+        hooks.forEach(hook => {
+          t.equal(hook.status, 'complete');
+          t.equal(hook.runCount, 1, 'deferring does not use up an attempt');
+        });
+        done(t);
+      });
+    });
+
+    ['bob', 'sven', 'jack'].forEach(user => server.methods.hook('sync user', { user }, { hookId: user }));
+  });
+});
+
+tap.test('fails to register with an invalid rateLimit', (t) => {
+  const server = new Hapi.Server();
+  server.register({
+    plugin: hapiHooks,
+    options: {
+      store: hapiHooks.stores.memory(),
+      hooks: {
+        'sync user': [{ method: 'callApi', rateLimit: { limit: 10 } }]
+      }
+    }
+  }).then(() => {
+    t.fail('should not register');
+    t.end();
+  }, err => {
+    t.equal(err.message, "Invalid rateLimit for 'callApi' in hook 'sync user', expected { limit, interval }");
+    t.end();
+  });
+});
@@ -0,0 +1,163 @@
+const setup = require('./setup.js');
+const tap = require('tap');
+const async = require('async');
+const hapiHooks = require('../');
+
+const later = new Date(new Date().getTime() + 60 * 60 * 1000);
+
+const queued = (hookId, hook, runEvery, hookData, fromConfig) => ({
+  fromConfig,
+  hookName: hook,
+  hookData,
+  hookId,
+  runEvery,
+  status: 'waiting',
+  runAfter: later,
+  scheduledFor: later,
+  added: new Date()
+});
+
+tap.test('reconciles queued recurring hooks with the recurring option on startup', (t) => {
+  const store = hapiHooks.stores.memory();
+  async.eachSeries([
+    queued('sameJob', 'report', 'every 1 hour', {}, true),
+    queued('changedJob', 'report', 'every 1 hour', { team: 'a' }, true),
+    queued('oldJob', 'report', 'every 1 hour', {}, true),
+    queued('codeJob', 'report', 'every 1 hour', {}),
+    { hookName: 'report', hookData: {}, hookId: 'oneOff', status: 'waiting', runAfter: later, added: new Date() }
+  ], store.enqueue, () => {
+    setup({
+      store,
+      interval: 60000,
+      hooks: {
+        report: ['sendReport']
+      },
+      recurring: {
+        sameJob: { hook: 'report', schedule: 'every 1 hour' },
+        changedJob: { hook: 'report', schedule: 'every 2 hours', data: { team: 'b' } },
+        newJob: { hook: 'report', schedule: { cron: '0 9 * * 1' } }
+      }
+    }, (server, hookStore, done) => {
+      server.events.on('log', (event, tags) => {
+        if (!tags.recurring) {
+          return;
+        }
+
+        t.equal(event.data.message, 'Recurring hooks: 1 added, 1 changed, 1 removed');
+        t.deepEqual(event.data.added, ['newJob']);
+        t.deepEqual(event.data.changed, ['changedJob']);
+        t.deepEqual(event.data.removed, ['oldJob']);
+
+        hookStore.find({}, { sort: { hookId: 1 } }, (err, hooks) => {
+          t.error(err);
+          const byId = hooks.reduce((memo, hook) => Object.assign(memo, { [hook.hookId]: hook }), {});
+          t.equal(hooks.length, 6, 'does not duplicate hooks');
+          t.equal(byId.sameJob.status, 'waiting');
+          t.equal(byId.sameJob.runAfter.getTime(), later.getTime(), 'keeps the next run of an unchanged hook');
+          t.equal(byId.changedJob.runEvery, 'every 2 hours', 'updates the schedule');
+          t.deepEqual(byId.changedJob.hookData, { team: 'b' }, 'updates the data');
+          t.equal(byId.oldJob.status, 'removed', 'marks hooks that are no longer configured as removed');
+          t.equal(byId.codeJob.status, 'waiting', 'leaves recurring hooks queued from code alone');
+          t.equal(byId.newJob.fromConfig, true, 'tags hooks from the recurring option');
+          t.deepEqual(byId.newJob.runEvery, { cron: '0 9 * * 1' });
+          t.equal(byId.oneOff.status, 'waiting', 'leaves hooks that are not recurring alone');
+          done(t);
+        });
+      });
+    });
+  });
+});
+
+tap.test('does not remove recurring hooks when reconcile is false', (t) => {
+  const store = hapiHooks.stores.memory();
+  store.enqueue(queued('oldConfigJob', 'report', 'every 1 hour', {}, true), () => {
+    setup({
+      store,
+      interval: 60000,
+      reconcile: false,
+      hooks: {
+        report: ['sendReport']
+      },
+      recurring: {
+        configJob: { hook: 'report', schedule: 'every 1 hour' }
+      }
+    }, (server, hookStore, done) => {
+      server.events.on('log', (event, tags) => {
+        if (!tags.recurring) {
+          return;
+        }
+
+        t.deepEqual(event.data.removed, []);
+        hookStore.find({ hookId: 'oldConfigJob' }, (err, hooks) => {
+          t.error(err);
+          t.equal(hooks[0].status, 'waiting');
+          done(t);
+        });
+      });
+    });
+  });
+});
+
+tap.test('reconcile all also removes recurring hooks that were not tagged', (t) => {
+  const store = hapiHooks.stores.memory();
+  async.eachSeries([
+    queued('legacyJob', 'report', 'every 1 hour', {}),
+    queued('keptJob', 'report', 'every 1 hour', {})
+  ], store.enqueue, () => {
+    setup({
+      store,
+      interval: 60000,
+      reconcile: 'all',
+      hooks: {
+        report: ['sendReport']
+      },
+      recurring: {
+        keptJob: { hook: 'report', schedule: 'every 1 hour' }
+      }
+    }, (server, hookStore, done) => {
+      server.events.on('log', (event, tags) => {
+        if (!tags.recurring) {
+          return;
+        }
+
+        t.deepEqual(event.data.removed, ['legacyJob']);
+        hookStore.find({}, { sort: { hookId: 1 } }, (err, hooks) => {
+          t.error(err);
+          t.equal(hooks[0].hookId, 'keptJob');
+          t.equal(hooks[0].status, 'waiting');
+          t.equal(hooks[0].fromConfig, true, 'tags hooks that are still configured');
+          t.equal(hooks[1].status, 'removed');
+          done(t);
+        });
+      });
+    });
+  });
+});
+
+tap.test('hooks that are removed while they are running are not repeated', (t) => {
+  setup({
+    interval: 100,
+    hooks: {
+      report: ['sendReport']
+    }
+  }, (server, store, done) => {
+    // another server starting up without this hook in its 'recurring' option:
+    server.method('sendReport', (data, callback) => {
+      store.find({ hookId: 'oldJob' }, (err, hooks) => {
+        t.error(err);
+        store.update(hooks[0]._id, { status: 'removed' }, callback);
+      });
+    });
+    server.events.on('hook:complete', () => {
+      setTimeout(() => {
+        store.find({ hookId: 'oldJob' }, (err, hooks) => {
+          t.error(err);
+          t.equal(hooks.length, 1, 'is not repeated');
+          t.equal(hooks[0].status, 'removed');
+          done(t);
+        });
+      }, 100);
+    });
+    server.methods.hook('report', {}, { runEvery: 'every 1 second', hookId: 'oldJob' });
+  });
+});
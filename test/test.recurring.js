@@ -1,12 +1,10 @@
 const setup = require('./setup.js');
 const tap = require('tap');
+const Hapi = require('hapi');
+const hapiHooks = require('../');
 
 tap.test('will allow recurring hooks to be passed in the config', (t) => {
   setup({
-    mongo: {
-      host: 'mongodb://localhost:27017/hooks',
-      collectionName: 'hapi-hooks-test'
-    },
     log: false,
     interval: 100,
     hooks: {
@@ -20,9 +18,9 @@ tap.test('will allow recurring hooks to be passed in the config', (t) => {
         schedule: 'every 1 second'
       }
     }
-  }, (server, collection, db, done) => {
+  }, (server, store, done) => {
     let numberCalls = 0;
-    server.on('hook:complete', () => {
+    server.events.on('hook:complete', () => {
       if (numberCalls > 5) {
         t.ok(true);
         return done(t);
@@ -37,10 +35,6 @@ tap.test('will allow recurring hooks to be passed in the config', (t) => {
 
 tap.test('supports the runEvery option', (t) => {
   setup({
-    mongo: {
-      host: 'mongodb://localhost:27017/hooks',
-      collectionName: 'hapi-hooks-test'
-    },
     log: false,
     interval: 100,
     hooks: {
@@ -48,7 +42,7 @@ tap.test('supports the runEvery option', (t) => {
         'kickball'
       ]
     }
-  }, (server, collection, db, done) => {
+  }, (server, store, done) => {
     const numberOfCalls = {
       kickball: 0
     };
@@ -63,10 +57,117 @@ tap.test('supports the runEvery option', (t) => {
       runEvery: 'every 1 seconds',
       hookId: 'afterSchool'
     });
-    server.on('hook:complete', () => {
+    server.events.on('hook:complete', () => {
       if (numberOfCalls.kickball > 2) {
         return done(t);
       }
     });
   });
 });
+
+tap.test('supports cron expressions for runEvery', (t) => {
+  setup({
+    log: false,
+    interval: 100,
+    hooks: {
+      'cron hook': [
+        'dodgeball'
+      ]
+    }
+  }, (server, store, done) => {
+    let numberOfCalls = 0;
+    server.method('dodgeball', (data, callback) => {
+      numberOfCalls++;
+      callback();
+    });
+    server.methods.hook('cron hook', {}, {
+      runEvery: { cron: '* * * * * *' },
+      hookId: 'everySecond'
+    }).then(() => store.find({ hookId: 'everySecond' }, (err, hooks) => {
+      t.error(err);
+      t.deepEqual(hooks[0].runEvery, { cron: '* * * * * *' });
+    }));
+    server.events.on('hook:complete', () => {
+      if (numberOfCalls > 1) {
+        return done(t);
+      }
+    });
+  });
+});
+
+tap.test('cron day of week 7 and SUN both mean sunday', (t) => {
+  setup({
+    log: false,
+    timezone: 'UTC',
+    hooks: {
+      'cron hook': [
+        'dodgeball'
+      ]
+    }
+  }, (server, store, done) => {
+    server.method('dodgeball', (data, callback) => callback());
+    Promise.all([
+      server.methods.hook('cron hook', {}, { runEvery: { cron: '0 17 * * 7' }, hookId: 'seven' }),
+      server.methods.hook('cron hook', {}, { runEvery: { cron: '0 17 * * SUN' }, hookId: 'sun' }),
+      server.methods.hook('cron hook', {}, { runEvery: { cron: '0 17 * * 6-7' }, hookId: 'weekend' })
+    ]).then(() => store.find({}, { sort: { hookId: 1 } }, (err, hooks) => {
+      t.error(err);
+      const byId = hooks.reduce((memo, hook) => Object.assign(memo, { [hook.hookId]: new Date(hook.runAfter) }), {});
+      t.equal(byId.seven.getUTCDay(), 0, '7 is sunday');
+      t.equal(byId.seven.getUTCHours(), 17);
+      t.equal(byId.sun.getTime(), byId.seven.getTime(), 'SUN is the same day');
+      t.ok([0, 6].indexOf(byId.weekend.getUTCDay()) !== -1, 'ranges ending in 7 include sunday');
+      done(t);
+    }));
+  });
+});
+
+tap.test('rejects invalid cron expressions', (t) => {
+  setup({
+    log: false,
+    hooks: {
+      'cron hook': [
+        'dodgeball'
+      ]
+    }
+  }, (server, store, done) => {
+    server.methods.hook('cron hook', {}, { runEvery: { cron: '99 * * * *' }, hookId: 'badMinute' })
+      .catch(err => {
+        t.equal(err.message, "Invalid cron expression '99 * * * *', bad minute field '99'");
+        return server.methods.hook('cron hook', {}, { runEvery: { cron: '0 17 *' }, hookId: 'tooShort' });
+      })
+      .catch(err => {
+        t.equal(err.message, "Invalid cron expression '0 17 *', expected 5 or 6 fields but got 3");
+        store.count({}, (countErr, count) => {
+          t.error(countErr);
+          t.equal(count, 0);
+          done(t);
+        });
+      });
+  });
+});
+
+tap.test('fails to register when a recurring hook has an invalid schedule', (t) => {
+  const server = new Hapi.Server();
+  server.register({
+    plugin: hapiHooks,
+    options: {
+      store: hapiHooks.stores.memory(),
+      hooks: {
+        'after:school': ['baseball']
+      },
+      recurring: {
+        doBaseBall: {
+          hook: 'after:school',
+          schedule: { cron: '0 17 * * funday' }
+        }
+      }
+    }
+  }).then(() => {
+    t.fail('should not register');
+    t.end();
+  }, err => {
+    t.equal(err.message, "Recurring hook 'doBaseBall' has an invalid schedule: Invalid cron expression '0 17 * * funday', bad day of week field 'funday'");
+    t.end();
+  });
+});
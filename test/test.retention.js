@@ -0,0 +1,76 @@
+const setup = require('./setup.js');
+const tap = require('tap');
+const async = require('async');
+const Hapi = require('hapi');
+const hapiHooks = require('../');
+
+const day = 24 * 60 * 60 * 1000;
+const daysAgo = days => new Date(new Date().getTime() - (days * day));
+
+tap.test('deletes and archives old hooks according to the retention option', (t) => {
+  const store = hapiHooks.stores.memory();
+  const archive = hapiHooks.stores.memory();
+  async.eachSeries([
+    { hookName: 'report', hookId: 'old-complete', status: 'complete', added: daysAgo(9), completedOn: daysAgo(8) },
+    { hookName: 'report', hookId: 'new-complete', status: 'complete', added: daysAgo(9), completedOn: daysAgo(1) },
+    { hookName: 'report', hookId: 'old-aborted', status: 'aborted', added: daysAgo(40) },
+    { hookName: 'report', hookId: 'old-failed', status: 'failed', added: daysAgo(40), completedOn: daysAgo(40) }
+  ], store.enqueue, () => {
+    setup({
+      store,
+      archive,
+      interval: 100,
+      purgeInterval: 100,
+      retention: {
+        complete: '7 days',
+        aborted: { after: '30 days', archive: true }
+      },
+      hooks: {
+        report: ['sendReport']
+      }
+    }, (server, hookStore, done) => {
+      const purged = [];
+      server.events.on('hook:purged', (event) => purged.push(event));
+      // added after the first cleanup pass, which ran when the server started:
+      hookStore.enqueue({ hookName: 'report', hookId: 'another-old-complete', status: 'complete', added: daysAgo(9), completedOn: daysAgo(8) }, () => {});
+
+      setTimeout(() => {
+        t.deepEqual(purged[purged.length - 1], { status: 'complete', action: 'delete', count: 1 }, 'emits hook:purged');
+
+        async.autoInject({
+          remaining(next) {
+            hookStore.find({}, next);
+          },
+          archived(next) {
+            archive.find({}, next);
+          }
+        }, (err, results) => {
+          t.error(err);
+          t.deepEqual(results.remaining.map(hook => hook.hookId).sort(), ['new-complete', 'old-failed'], 'keeps hooks without a rule and recent ones');
+          t.deepEqual(results.archived.map(hook => hook.hookId), ['old-aborted'], 'archives old aborted hooks');
+          done(t);
+        });
+      }, 300);
+    });
+  });
+});
+
+tap.test('fails to register with an invalid retention option', (t) => {
+  const server = new Hapi.Server();
+  server.register({
+    plugin: hapiHooks,
+    options: {
+      store: hapiHooks.stores.memory(),
+      hooks: {},
+      retention: {
+        aborted: { after: '30 days', archive: true }
+      }
+    }
+  }).then(() => {
+    t.fail('should not register');
+    t.end();
+  }, err => {
+    t.equal(err.message, 'Retention for \'aborted\' hooks archives them, but the archive option isn\'t set');
+    t.end();
+  });
+});
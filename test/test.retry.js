@@ -5,10 +5,6 @@ const retry = require('../lib/retry');
 
 tap.test('will not retry if status was not "failed" ', (t) => {
   setup({
-    mongo: {
-      host: 'mongodb://localhost:27017/hooks',
-      collectionName: 'hapi-hooks-test'
-    },
     log: false,
     interval: 200,
     hooks: {
@@ -16,14 +12,14 @@ tap.test('will not retry if status was not "failed" ', (t) => {
         'dodgeball'
       ]
     }
-  }, (server, collection, db, allDone) => {
+  }, (server, store, allDone) => {
     async.autoInject({
       insert1(done) {
-        collection.insert({ _id: 'myHookId', status: 'complete' }, done);
+        store.enqueue({ _id: 'myHookId', status: 'complete' }, done);
       },
       retry1(insert1, done) {
         let called;
-        server.on('log', (data) => {
+        server.events.on('log', (data) => {
           // only check this first time log is called:
           if (!called) {
             called = true;
@@ -31,7 +27,7 @@ tap.test('will not retry if status was not "failed" ', (t) => {
             t.notEqual(data.data.message.indexOf('myHookId did not fail'), -1, 'notifies hook id did not fail');
           }
         });
-        retry(server, {}, collection, 'myHookId', (err) => {
+        retry(server, {}, store, 'myHookId', (err) => {
           t.notEqual(err, null, 'calls callback if hook id was not "failed"');
           done();
         });
@@ -49,17 +45,13 @@ tap.test('retry a hook from id', (t) => {
   async.autoInject({
     startup(done) {
       setup({
-        mongo: {
-          host: 'mongodb://localhost:27017/hooks',
-          collectionName: 'hapi-hooks-test'
-        },
         interval: 100,
         hooks: {
           repeat: [
             'repeatableHook()',
           ]
         }
-      }, (server, collection, db, cleanup) => {
+      }, (server, store, cleanup) => {
         // this method  won't work until someone changes 'key':
         server.method('repeatableHook', (callback) => {
           if (key === 0) {
@@ -69,7 +61,7 @@ tap.test('retry a hook from id', (t) => {
           return callback(null, true);
         });
         server.methods.hook('repeat', {}, { hookId: 'retry-from-id' });
-        return done(null, { server, collection, cleanup });
+        return done(null, { server, store, cleanup });
       });
     },
     wait(startup, done) {
@@ -77,7 +69,7 @@ tap.test('retry a hook from id', (t) => {
     },
     // get the id for the failed job:
     id(startup, wait, done) {
-      startup.collection.find({ status: 'failed' }).toArray(done);
+      startup.store.find({ status: 'failed' }, done);
     },
     retry(id, startup, done) {
       key = 1;
@@ -91,3 +83,79 @@ tap.test('retry a hook from id', (t) => {
     result.startup.cleanup(t);
   });
 });
+
+tap.test('retries only the actions that failed', (t) => {
+  setup({
+    interval: 100,
+    hooks: {
+      signup: ['addUser', 'sendEmail', 'updateCrm']
+    }
+  }, (server, store, done) => {
+    const calls = { addUser: 0, sendEmail: 0, updateCrm: 0 };
+    server.method('addUser', (data, callback) => {
+      calls.addUser++;
+      callback(null, 'added');
+    });
+    server.method('sendEmail', (data, callback) => {
+      calls.sendEmail++;
+      callback(calls.sendEmail === 1 ? new Error('smtp is down') : null, 'sent');
+    });
+    server.method('updateCrm', (data, callback) => {
+      calls.updateCrm++;
+      callback(null, 'updated');
+    });
+    server.events.on('hook:complete', (outcome) => {
+      if (calls.sendEmail < 2) {
+        return;
+      }
+      t.deepEqual(calls, { addUser: 1, sendEmail: 2, updateCrm: 1 }, 'only re-runs the failed action');
+      t.equal(outcome.results.length, 3, 'reports results for every action');
+      t.equal(outcome.results[0].skipped, true, 'marks actions that were skipped');
+      t.equal(outcome.results[0].output, 'added', 'keeps the output of skipped actions');
+      t.equal(outcome.results[1].output, 'sent');
+      done(t);
+    });
+    server.methods.hook('signup', {}, { hookId: 'signup-1' });
+  });
+});
+
+tap.test('retryHook can re-run every action with "rerunAll"', (t) => {
+  setup({
+    interval: 100,
+    retry: { delay: 60000 },
+    hooks: {
+      signup: ['addUser', 'sendEmail']
+    }
+  }, (server, store, cleanup) => {
+    const calls = { addUser: 0, sendEmail: 0 };
+    server.method('addUser', (data, callback) => {
+      calls.addUser++;
+      callback(null, 'added');
+    });
+    server.method('sendEmail', (data, callback) => {
+      calls.sendEmail++;
+      callback(calls.sendEmail === 1 ? new Error('smtp is down') : null, 'sent');
+    });
+    server.events.once('hook:complete', (outcome) => {
+      server.methods.retryHook(outcome.hook._id, { rerunAll: true }, (err, result) => {
+        t.equal(err, null);
+        t.deepEqual(calls, { addUser: 2, sendEmail: 2 }, 're-runs every action');
+        t.equal(result.results[0].skipped, undefined);
+        cleanup(t);
+      });
+    });
+    server.methods.hook('signup', {}, { hookId: 'signup-2' });
+  });
+});
+
+tap.test('retryHook returns a promise when there is no callback', (t) => {
+  setup({
+    interval: 1000
+  }, (server, store, cleanup) => {
+    server.methods.retryHook('does_not_exist')
+      .catch(err => {
+        t.match(err.message, /not found/, 'rejects when the hook does not exist');
+        cleanup(t);
+      });
+  });
+});
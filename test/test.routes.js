@@ -0,0 +1,85 @@
+const setup = require('./setup.js');
+const tap = require('tap');
+const async = require('async');
+
+tap.test('admin routes list, show, cancel and count hooks', (t) => {
+  setup({
+    interval: 60000,
+    routes: { prefix: '/admin/hooks' },
+    hooks: {
+      email: ['sendEmail']
+    }
+  }, (server, store, done) => {
+    const runAfter = new Date(new Date().getTime() + 60000);
+    async.autoInject({
+      insert(next) {
+        async.timesSeries(3, (n, added) => store.enqueue({ hookName: 'email', hookId: `email-${n}`, hookData: { n }, status: 'waiting', runAfter }, added), next);
+      },
+      list(insert, next) {
+        server.inject({ method: 'GET', url: '/admin/hooks?hookName=email&limit=2&page=2' }).then(res => next(null, res));
+      },
+      filtered(insert, next) {
+        server.inject({ method: 'GET', url: '/admin/hooks?hookId=email-1' }).then(res => next(null, res));
+      },
+      show(insert, next) {
+        server.inject({ method: 'GET', url: `/admin/hooks/${insert[0].id}` }).then(res => next(null, res));
+      },
+      missing(insert, next) {
+        server.inject({ method: 'GET', url: '/admin/hooks/nope' }).then(res => next(null, res));
+      },
+      cancel(insert, show, next) {
+        server.inject({ method: 'POST', url: `/admin/hooks/${insert[0].id}/cancel` }).then(res => next(null, res));
+      },
+      cancelAgain(insert, cancel, next) {
+        server.inject({ method: 'POST', url: `/admin/hooks/${insert[0].id}/cancel` }).then(res => next(null, res));
+      },
+      status(cancel, next) {
+        server.inject({ method: 'GET', url: '/admin/hooks/status' }).then(res => next(null, res));
+      }
+    }, (err, results) => {
+      t.equal(err, null);
+      t.equal(results.list.statusCode, 200);
+      t.equal(results.list.result.total, 3, 'reports the total number of matching hooks');
+      t.equal(results.list.result.page, 2);
+      t.equal(results.list.result.hooks.length, 1, 'paginates the hooks');
+      t.equal(results.filtered.result.hooks.length, 1, 'filters by hookId');
+      t.equal(results.filtered.result.hooks[0].hookData.n, 1);
+      t.equal(results.show.statusCode, 200);
+      t.equal(results.show.result.hookId, 'email-0', 'shows a single hook');
+      t.equal(results.missing.statusCode, 404, 'replies 404 for unknown hooks');
+      t.equal(results.cancel.statusCode, 200);
+      t.equal(results.cancel.result.status, 'cancelled', 'cancels a waiting hook');
+      t.equal(results.cancelAgain.statusCode, 409, 'will not cancel a hook that is not waiting or failed');
+      t.equal(results.status.result.waiting, 2, 'reports counts for each status');
+      done(t);
+    });
+  });
+});
+
+tap.test('admin route retries a failed hook', (t) => {
+  setup({
+    interval: 100,
+    routes: true,
+    retry: { delay: 60000 },
+    hooks: {
+      flaky: ['callApi']
+    }
+  }, (server, store, done) => {
+    let fixed = false;
+    server.method('callApi', (data, callback) => callback(fixed ? null : new Error('api is down'), 'called'));
+    server.events.once('hook:complete', (outcome) => {
+      fixed = true;
+      server.inject({ method: 'POST', url: `/hooks/${outcome.hook._id}/retry` })
+        .then(res => {
+          t.equal(res.statusCode, 200);
+          t.equal(res.result.results[0].output, 'called', 'replies with the results of the retry');
+          return server.inject({ method: 'POST', url: `/hooks/${outcome.hook._id}/retry` });
+        })
+        .then(res => {
+          t.equal(res.statusCode, 409, 'will not retry a hook that did not fail');
+          done(t);
+        });
+    });
+    server.methods.hook('flaky', {}, { hookId: 'flaky-1' });
+  });
+});
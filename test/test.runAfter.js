@@ -1,19 +1,17 @@
 const setup = require('./setup.js');
 const tap = require('tap');
+const moment = require('moment-timezone');
+const parseRunAt = require('../lib/methods/parseRunAt');
 
 tap.test('supports the runAfter option', (t) => {
   setup({
-    mongo: {
-      host: 'mongodb://localhost:27017/hooks',
-      collectionName: 'hapi-hooks-test'
-    },
     interval: 100,
     hooks: {
       'runAfter hook': [
         'kickball'
       ]
     }
-  }, (server, collection, db, done) => {
+  }, (server, store, done) => {
     const numberOfCalls = {
       kickball: 0
     };
@@ -30,7 +28,7 @@ tap.test('supports the runAfter option', (t) => {
       hookId: 'run-after-bob'
     });
     let called = false;
-    server.on('hook:complete', () => {
+    server.events.on('hook:complete', () => {
       if (called) {
         return done(t);
       }
@@ -42,3 +40,103 @@ tap.test('supports the runAfter option', (t) => {
     });
   });
 });
+
+tap.test('supports the delay option', (t) => {
+  setup({
+    interval: 100,
+    hooks: {
+      'follow up': ['sendEmail']
+    }
+  }, (server, store, done) => {
+    server.method('sendEmail', (data, callback) => callback());
+    const startTime = new Date().getTime();
+    server.events.once('hook:complete', () => {
+      t.ok(new Date().getTime() - startTime >= 250, 'starts after the delay');
+
+      server.methods.hook('follow up', {}, { delay: '10 minutes', hookId: 'later' })
+        .then(() => store.find({ hookId: 'later' }, (err, hooks) => {
+          t.error(err);
+          const delay = new Date(hooks[0].runAfter).getTime() - new Date().getTime();
+          t.ok(delay > 9 * 60 * 1000 && delay <= 10 * 60 * 1000, 'parses delays like \'10 minutes\'');
+          done(t);
+        }));
+    });
+    server.methods.hook('follow up', {}, { delay: 250, hookId: 'soon' });
+  });
+});
+
+tap.test('supports the runAt option in the timezone', (t) => {
+  setup({
+    timezone: 'America/New_York',
+    hooks: {
+      'follow up': ['sendEmail']
+    }
+  }, (server, store, done) => {
+    server.methods.hook('follow up', {}, { runAt: 'at 9:00 am', hookId: 'morning' })
+      .then(() => store.find({ hookId: 'morning' }, (err, hooks) => {
+        t.error(err);
+        const runAfter = new Date(hooks[0].runAfter);
+        const hours = runAfter.getUTCHours();
+        t.ok(hours === 13 || hours === 14, 'runs at 9am in New York');
+        t.ok(runAfter > new Date() && runAfter - new Date() <= 24 * 60 * 60 * 1000, 'at the next 9am');
+        t.equal(hooks[0].runEvery, undefined, 'only runs once');
+        done(t);
+      }));
+  });
+});
+
+tap.test('runAt can say today or tomorrow and leave out the minutes', (t) => {
+  setup({
+    timezone: 'America/New_York',
+    hooks: {
+      'follow up': ['sendEmail']
+    }
+  }, (server, store, done) => {
+    server.methods.hook('follow up', {}, { runAt: 'at 9am tomorrow', hookId: 'tomorrow' })
+      .then(() => store.find({ hookId: 'tomorrow' }, (err, hooks) => {
+        t.error(err);
+        const expected = moment.tz('America/New_York').startOf('day').add(1, 'day').hour(9);
+        t.equal(new Date(hooks[0].runAfter).getTime(), expected.valueOf(), 'runs at 9am tomorrow in New York');
+        done(t);
+      }));
+  });
+});
+
+tap.test('runAt resolves relative days from the current time', (t) => {
+  // 11am in Los Angeles:
+  const now = new Date('2026-10-19T18:00:00Z');
+  const runAt = value => parseRunAt(value, 'America/Los_Angeles', now);
+
+  t.equal(runAt('tomorrow at 9:30pm').toISOString(), '2026-10-21T04:30:00.000Z');
+  t.equal(runAt('at 5 pm today').toISOString(), '2026-10-20T00:00:00.000Z');
+  t.equal(runAt('at 9am on Tue tomorrow').toISOString(), '2026-10-20T16:00:00.000Z');
+  t.equal(runAt('at 12am tomorrow').toISOString(), '2026-10-20T07:00:00.000Z', '12am is midnight');
+  t.equal(runAt('at 12:30 am tomorrow').toISOString(), '2026-10-20T07:30:00.000Z');
+  t.equal(runAt('at 12pm tomorrow').toISOString(), '2026-10-20T19:00:00.000Z', '12pm is noon');
+  t.equal(runAt('at 12:15PM').toISOString(), '2026-10-19T19:15:00.000Z');
+  t.throws(() => runAt('at 9am today'), /has already passed/);
+  t.throws(() => runAt('at 9am on Mon tomorrow'), /has no occurrence tomorrow/);
+  t.end();
+});
+
+tap.test('rejects invalid delay and runAt options', (t) => {
+  setup({
+    hooks: {
+      'follow up': ['sendEmail']
+    }
+  }, (server, store, done) => {
+    server.methods.hook('follow up', {}, { delay: 'a while', hookId: 'bad-delay' })
+      .catch(err => {
+        t.equal(err.message, 'Invalid delay "a while", expected a number of ms or a string like \'10 minutes\'');
+        return server.methods.hook('follow up', {}, { runAt: 'at teatime', hookId: 'bad-runAt' });
+      })
+      .catch(err => {
+        t.match(err.message, /^Invalid schedule at teatime/);
+        return server.methods.hook('follow up', {}, { delay: 1000, runAt: 'at 9:00 am', hookId: 'both' });
+      })
+      .catch(err => {
+        t.equal(err.message, 'Only one of runAfter, delay and runAt can be set, got delay and runAt');
+        done(t);
+      });
+  });
+});
@@ -0,0 +1,93 @@
+const setup = require('./setup.js');
+const tap = require('tap');
+const hapiHooks = require('../');
+
+tap.test('returns hooks whose lease expired to the queue and emits "hook:stalled"', (t) => {
+  const store = hapiHooks.stores.memory();
+  store.enqueue({
+    hookName: 'crashed',
+    hookData: {},
+    hookId: 'crashed-1',
+    status: 'processing',
+    workerId: 'dead-worker',
+    leaseExpires: new Date(new Date().getTime() - 1000),
+    runAfter: new Date(new Date().getTime() - 5000)
+  }, () => {
+    setup({
+      store,
+      interval: 100,
+      hooks: {
+        crashed: ['recover']
+      }
+    }, (server, hookStore, done) => {
+      let stalled = null;
+      server.method('recover', (data, callback) => callback(null, 'recovered'));
+      server.events.on('hook:stalled', (hook) => {
+        stalled = hook;
+      });
+      server.events.on('hook:complete', (outcome) => {
+        t.notEqual(stalled, null, 'emits hook:stalled first');
+        t.equal(stalled.hookId, 'crashed-1', 'passes the stalled hook');
+        t.equal(stalled.runCount, 1, 'counts the stalled attempt');
+        t.equal(outcome.results[0].output, 'recovered', 'runs the hook again');
+        hookStore.find({ hookId: 'crashed-1' }, (err, hooks) => {
+          t.equal(err, null);
+          t.equal(hooks[0].status, 'complete');
+          t.equal(hooks[0].runCount, 2);
+          done(t);
+        });
+      });
+    });
+  });
+});
+
+tap.test('hooks being processed by another worker do not stall the queue', (t) => {
+  const store = hapiHooks.stores.memory();
+  store.enqueue({
+    hookName: 'slow',
+    hookData: {},
+    status: 'processing',
+    workerId: 'other-worker',
+    leaseExpires: new Date(new Date().getTime() + 60000),
+    runAfter: new Date()
+  }, () => {
+    setup({
+      store,
+      interval: 100,
+      hooks: {
+        fast: ['quick']
+      }
+    }, (server, hookStore, done) => {
+      server.method('quick', (data, callback) => callback());
+      server.events.on('hook:stalled', () => {
+        t.fail('hook with a current lease should not be reaped');
+      });
+      server.events.on('hook:complete', (outcome) => {
+        t.equal(outcome.hook.hookName, 'fast', 'processes its own hooks');
+        done(t);
+      });
+      server.methods.hook('fast', {}, { hookId: 'fast-1' });
+    });
+  });
+});
+
+tap.test('renews the lease while a hook is processing', (t) => {
+  setup({
+    interval: 100,
+    lease: 200,
+    heartbeat: 50,
+    hooks: {
+      slow: ['crawl']
+    }
+  }, (server, store, done) => {
+    server.method('crawl', (data, callback) => setTimeout(callback, 500));
+    server.events.on('hook:stalled', () => {
+      t.fail('hook with a renewed lease should not be reaped');
+    });
+    server.events.on('hook:complete', () => {
+      t.pass('completes without stalling');
+      done(t);
+    });
+    server.methods.hook('slow', {}, { hookId: 'slow-1' });
+  });
+});
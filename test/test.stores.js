@@ -0,0 +1,350 @@
+const setup = require('./setup.js');
+const tap = require('tap');
+const async = require('async');
+const mongo = require('mongodb');
+
+// every store has to behave the same, so these run against the memory store and,
+// with HOOKS_STORE=mongo, the mongo store too:
+const storeTypes = setup.storeType === 'memory' ? ['memory'] : ['memory', setup.storeType];
+
+const past = () => new Date(new Date().getTime() - 1000);
+const future = () => new Date(new Date().getTime() + 60000);
+
+// runs 'test' with an empty, initialised store and closes it afterwards:
+const storeTest = (name, test) => storeTypes.forEach(type => {
+  tap.test(`${type} store ${name}`, (t) => {
+    setup.createStore(type, (err, store) => {
+      t.error(err);
+      store.init(initErr => {
+        t.error(initErr);
+        test(t, store, () => store.close(() => t.end()));
+      });
+    });
+  });
+});
+
+storeTest('updates an active hook with the same hookId instead of adding another', (t, store, done) => {
+  async.autoInject({
+    first(next) {
+      store.enqueue({ hookName: 'test', hookId: 'dupe', hookData: { name: 'bob' }, status: 'waiting', runAfter: new Date(), added: new Date() }, next);
+    },
+    second(first, next) {
+      store.enqueue({ hookName: 'test', hookId: 'dupe', hookData: { name: 'sven' }, status: 'waiting', runAfter: new Date(), added: new Date() }, next);
+    },
+    hooks(second, next) {
+      store.find({ hookId: 'dupe' }, next);
+    }
+  }, (err, results) => {
+    t.equal(err, null);
+    t.equal(results.first.updated, false, 'first call inserts a hook');
+    t.equal(results.second.updated, true, 'second call updates it');
+    t.equal(String(results.second.id), String(results.first.id), 'reports the id of the existing hook');
+    t.equal(results.hooks.length, 1, 'only one hook stored');
+    t.equal(results.hooks[0].hookData.name, 'sven', 'stores the new data');
+    t.equal(results.hooks[0].status, 'waiting');
+    done();
+  });
+});
+
+storeTest('never adds two active hooks for concurrent calls with the same hookId', (t, store, done) => {
+  async.times(5, (n, next) => {
+    store.enqueue({ hookName: 'test', hookId: 'race', hookData: { n }, status: 'waiting', runAfter: new Date(), added: new Date() }, next);
+  }, (err, results) => {
+    t.equal(err, null);
+    t.equal(results.filter(result => !result.updated).length, 1, 'only one call inserts');
+    store.count({ hookId: 'race' }, (countErr, count) => {
+      t.equal(countErr, null);
+      t.equal(count, 1, 'only one hook stored');
+      done();
+    });
+  });
+});
+
+storeTest('adds a new hook once the one with the same hookId has finished', (t, store, done) => {
+  async.autoInject({
+    first(next) {
+      store.enqueue({ hookName: 'test', hookId: 'again', status: 'waiting', runAfter: new Date(), added: new Date() }, next);
+    },
+    finish(first, next) {
+      store.update(first.id, { status: 'complete' }, next);
+    },
+    second(finish, next) {
+      store.enqueue({ hookName: 'test', hookId: 'again', status: 'waiting', runAfter: new Date(), added: new Date() }, next);
+    },
+    hooks(second, next) {
+      store.find({ hookId: 'again' }, { sort: { added: 1 } }, next);
+    }
+  }, (err, results) => {
+    t.equal(err, null);
+    t.equal(results.second.updated, false, 'inserts a new hook');
+    t.deepEqual(results.hooks.map(hook => hook.status), ['complete', 'waiting']);
+    done();
+  });
+});
+
+storeTest('updates hooks that became active again instead of adding another', (t, store, done) => {
+  const hook = (hookId, status) => ({ hookName: 'test', hookId, status, runAfter: past(), added: new Date() });
+
+  async.autoInject({
+    insert(next) {
+      async.eachSeries([hook('requeued', 'aborted'), hook('resumed', 'failed'), hook('reaped', 'failed')], store.enqueue, next);
+    },
+    requeue(insert, next) {
+      store.find({ hookId: 'requeued' }, (err, hooks) => (err ? next(err) : store.update(hooks[0]._id, { status: 'waiting', runCount: 0 }, next)));
+    },
+    resume(insert, next) {
+      // a failed hook that was paused and then resumed:
+      store.find({ hookId: 'resumed' }, (err, hooks) => {
+        if (err) {
+          return next(err);
+        }
+
+        store.update(hooks[0]._id, { status: 'paused' }, () => store.update(hooks[0]._id, { status: 'waiting' }, next));
+      });
+    },
+    reap(requeue, resume, next) {
+      // a hook claimed from 'failed' whose lease ran out:
+      store.claim({ limit: 0, workerId: 'worker1', leaseExpires: past() }, (err) => (err ? next(err) : store.reap(next)));
+    },
+    enqueued(reap, next) {
+      async.mapSeries(['requeued', 'resumed', 'reaped'], (hookId, mapNext) => store.enqueue(hook(hookId, 'waiting'), mapNext), next);
+    },
+    count(enqueued, next) {
+      store.count({}, next);
+    }
+  }, (err, results) => {
+    t.equal(err, null);
+    t.deepEqual(results.enqueued.map(result => result.updated), [true, true, true], 'updates the hook with the same hookId');
+    t.equal(results.count, 3, 'does not add another hook');
+    done();
+  });
+});
+
+storeTest('ignores concurrent hooks with the same dedupeKey', (t, store, done) => {
+  const hook = () => ({ hookName: 'contact', dedupeKey: 'contact:bob', dedupeUntil: future(), status: 'waiting', runAfter: new Date(), added: new Date() });
+
+  async.times(5, (n, next) => store.enqueue(hook(), next), (err, results) => {
+    t.equal(err, null);
+    const inserted = results.filter(result => !result.duplicate);
+    t.equal(inserted.length, 1, 'only one call inserts');
+    t.deepEqual(results.map(result => String(result.id)), results.map(() => String(inserted[0].id)), 'duplicates call back with the original id');
+    store.count({ dedupeKey: 'contact:bob' }, (countErr, count) => {
+      t.equal(countErr, null);
+      t.equal(count, 1, 'only one hook stored');
+      done();
+    });
+  });
+});
+
+storeTest('frees a dedupeKey once its hook has finished and its window has passed', (t, store, done) => {
+  const hook = dedupeUntil => ({ hookName: 'contact', dedupeKey: 'contact:sven', dedupeUntil, status: 'waiting', runAfter: new Date(), added: new Date() });
+
+  async.autoInject({
+    first(next) {
+      store.enqueue(hook(past()), next);
+    },
+    queued(first, next) {
+      store.enqueue(hook(past()), next);
+    },
+    finish(queued, next) {
+      store.update(queued.id, { status: 'complete' }, next);
+    },
+    second(finish, next) {
+      store.enqueue(hook(future()), next);
+    },
+    withinWindow(second, next) {
+      store.update(second.id, { status: 'complete' }, () => store.enqueue(hook(future()), next));
+    },
+    moved(withinWindow, next) {
+      // hooks moved from another store keep their id and aren't checked:
+      store.enqueue(Object.assign(hook(future()), { _id: 'moved', status: 'aborted' }), next);
+    }
+  }, (err, results) => {
+    t.equal(err, null);
+    t.equal(results.queued.duplicate, true, 'a waiting hook keeps its key after its window');
+    t.notOk(results.second.duplicate, 'a finished hook past its window does not');
+    t.equal(results.withinWindow.duplicate, true, 'a finished hook keeps its key within its window');
+    t.notOk(results.moved.duplicate, 'does not check hooks that already have an id');
+    done();
+  });
+});
+
+storeTest('claims runnable hooks and supports mongo-style queries', (t, store, done) => {
+  async.autoInject({
+    insert(next) {
+      async.eachSeries([
+        { hookName: 'a', status: 'waiting', runAfter: past() },
+        { hookName: 'b', status: 'failed', runAfter: past() },
+        { hookName: 'c', status: 'waiting', runAfter: future() },
+        { hookName: 'd', status: 'complete', runAfter: past() }
+      ], store.enqueue, next);
+    },
+    claimed(insert, next) {
+      store.claim({ limit: 0, workerId: 'worker1', leaseExpires: future() }, next);
+    },
+    processing(claimed, next) {
+      store.count({ status: 'processing', workerId: 'worker1' }, next);
+    },
+    later(claimed, next) {
+      store.find({ runAfter: { $gt: new Date() }, status: { $in: ['waiting'] } }, next);
+    },
+    notWaiting(claimed, next) {
+      store.find({ status: { $nin: ['waiting', 'processing'] }, hookName: { $ne: 'x' } }, next);
+    }
+  }, (err, results) => {
+    t.equal(err, null);
+    t.deepEqual(results.claimed.map(hook => hook.hookName).sort(), ['a', 'b'], 'claims waiting and failed hooks that are due');
+    t.equal(results.claimed[0].workerId, 'worker1', 'records the worker that claimed the hook');
+    t.equal(results.processing, 2, 'marks claimed hooks as processing');
+    t.deepEqual(results.later.map(hook => hook.hookName), ['c']);
+    t.deepEqual(results.notWaiting.map(hook => hook.hookName), ['d']);
+    done();
+  });
+});
+
+storeTest('never hands the same hook to two workers', (t, store, done) => {
+  async.autoInject({
+    insert(next) {
+      async.timesSeries(5, (n, insertNext) => store.enqueue({ hookName: `hook${n}`, status: 'waiting', runAfter: past() }, insertNext), next);
+    },
+    worker1(insert, next) {
+      store.claim({ limit: 3, workerId: 'worker1', leaseExpires: future() }, next);
+    },
+    worker2(insert, next) {
+      store.claim({ limit: 3, workerId: 'worker2', leaseExpires: future() }, next);
+    },
+    retried(worker1, worker2, next) {
+      store.claim({ id: worker1[0]._id, workerId: 'worker2', leaseExpires: future() }, next);
+    }
+  }, (err, results) => {
+    t.equal(err, null);
+    const ids = results.worker1.concat(results.worker2).map(hook => String(hook._id));
+    t.equal(ids.length, 5, 'all hooks were claimed');
+    t.equal(ids.filter((id, i) => ids.indexOf(id) === i).length, 5, 'no hook was claimed twice');
+    t.equal(results.retried.length, 0, 'a processing hook cannot be claimed by id');
+    done();
+  });
+});
+
+storeTest('finds, claims, updates and removes hooks by an id string', (t, store, done) => {
+  async.autoInject({
+    inserted(next) {
+      store.enqueue({ hookName: 'a', status: 'failed', runAfter: future() }, next);
+    },
+    id(inserted, next) {
+      // ids from a url are strings:
+      next(null, String(inserted.id));
+    },
+    claimed(id, next) {
+      store.claim({ id, workerId: 'worker1', leaseExpires: future() }, next);
+    },
+    updated(id, claimed, next) {
+      store.update(id, { status: 'complete' }, next);
+    },
+    found(id, updated, next) {
+      store.find({ _id: id }, next);
+    },
+    removed(id, found, next) {
+      store.remove({ _id: id }, next);
+    },
+    remaining(removed, next) {
+      store.count({}, next);
+    }
+  }, (err, results) => {
+    t.equal(err, null);
+    t.equal(results.claimed.length, 1, 'claims a hook by id even if it is not due');
+    t.equal(results.found.length, 1);
+    t.equal(results.found[0].status, 'complete', 'updates the hook');
+    t.equal(results.removed, 1, 'calls back with how many hooks were removed');
+    t.equal(results.remaining, 0);
+    done();
+  });
+});
+
+storeTest('reaps processing hooks whose lease has expired', (t, store, done) => {
+  async.autoInject({
+    insert(next) {
+      async.eachSeries([
+        { hookName: 'stalled', status: 'waiting', runAfter: past(), runCount: 1 },
+        { hookName: 'running', status: 'waiting', runAfter: past() }
+      ], store.enqueue, next);
+    },
+    claimed(insert, next) {
+      store.claim({ limit: 0, workerId: 'worker1', leaseExpires: future() }, next);
+    },
+    expire(claimed, next) {
+      const stalled = claimed.find(hook => hook.hookName === 'stalled');
+      store.update(stalled._id, { leaseExpires: past() }, next);
+    },
+    reaped(expire, next) {
+      store.reap(next);
+    },
+    hooks(reaped, next) {
+      store.find({}, { sort: { hookName: -1 } }, next);
+    }
+  }, (err, results) => {
+    t.equal(err, null);
+    t.deepEqual(results.reaped.map(hook => hook.hookName), ['stalled'], 'only reaps expired leases');
+    t.deepEqual(results.hooks.map(hook => hook.status), ['waiting', 'processing']);
+    t.equal(results.hooks[0].runCount, 2, 'counts the attempt');
+    done();
+  });
+});
+
+storeTest('sorts, skips and limits the hooks it finds', (t, store, done) => {
+  async.eachSeries(['b', 'd', 'a', 'c'], (hookName, next) => {
+    store.enqueue({ hookName, status: 'complete', runAfter: new Date() }, next);
+  }, (err) => {
+    t.equal(err, null);
+    store.find({ status: 'complete' }, { sort: { hookName: 1 }, skip: 1, limit: 2 }, (findErr, hooks) => {
+      t.equal(findErr, null);
+      t.deepEqual(hooks.map(hook => hook.hookName), ['b', 'c']);
+      done();
+    });
+  });
+});
+
+storeTest('counts calls towards a rate limit', (t, store, done) => {
+  const options = { limit: 2, interval: 60 * 60 * 1000 };
+  async.timesSeries(3, (n, next) => store.rateLimit('callApi', options, next), (err, results) => {
+    t.equal(err, null);
+    t.deepEqual(results.map(result => result.allowed), [true, true, false], 'allows calls up to the limit');
+    t.ok(results[2].retryAfter > 0 && results[2].retryAfter <= options.interval, 'says when there will be room again');
+    store.rateLimit('otherApi', options, (otherErr, result) => {
+      t.equal(result.allowed, true, 'counts each key separately');
+      done();
+    });
+  });
+});
+
+// collections written by earlier versions can hold hooks without the 'active' flag, and duplicate hookIds:
+if (setup.storeType === 'mongo') {
+  tap.test('mongo store migrates hooks stored by earlier versions', (t) => {
+    setup.createStore('mongo', (err, store) => {
+      t.error(err);
+      mongo.connect(setup.mongoOptions.host, (connectErr, db) => {
+        t.error(connectErr);
+        const collection = db.collection(setup.mongoOptions.collectionName);
+        collection.insertMany([
+          { hookName: 'test', hookId: 'twice', status: 'waiting', runAfter: future(), added: past() },
+          { hookName: 'test', hookId: 'twice', status: 'waiting', runAfter: future(), added: new Date() },
+          { hookName: 'test', hookId: 'done', status: 'complete', runAfter: past(), added: past() }
+        ], (insertErr) => {
+          t.error(insertErr);
+          store.init(initErr => {
+            t.error(initErr, 'does not fail on duplicate hookIds');
+            collection.find({ hookId: 'twice' }).sort({ added: 1 }).toArray((findErr, hooks) => {
+              t.error(findErr);
+              t.deepEqual(hooks.map(hook => hook.active), [false, true], 'only the latest duplicate stays active');
+              store.enqueue({ hookName: 'test', hookId: 'twice', status: 'waiting', runAfter: new Date(), added: new Date() }, (enqueueErr, result) => {
+                t.error(enqueueErr);
+                t.equal(String(result.id), String(hooks[1]._id), 'updates the active hook');
+                db.close(false, () => store.close(() => t.end()));
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+}
@@ -0,0 +1,69 @@
+const setup = require('./setup.js');
+const tap = require('tap');
+
+tap.test('hooks and actions can override the timeout', (t) => {
+  setup({
+    interval: 100,
+    timeout: 1000,
+    retry: { delay: 60000 },
+    hooks: {
+      report: {
+        timeout: 50,
+        actions: [
+          'ping',
+          { method: 'generate', timeout: 300 },
+          { method: 'archive', timeout: false }
+        ]
+      }
+    }
+  }, (server, store, done) => {
+    const wait = ms => (data, callback) => {
+      setTimeout(() => callback(null, 'done'), ms);
+    };
+    server.method('ping', wait(100));
+    server.method('generate', wait(150));
+    server.method('archive', wait(200));
+    server.events.on('hook:complete', (outcome) => {
+      t.notEqual(typeof outcome.results[0].error, 'undefined', 'uses the hook timeout');
+      t.equal(outcome.results[1].output, 'done', 'uses the action timeout');
+      t.equal(outcome.results[2].output, 'done', 'an action can turn the timeout off');
+      done(t);
+    });
+    server.methods.hook('report', {}, { hookId: 'report-1' });
+  });
+});
+
+tap.test('hooks can override the number of actions run at once and maxRetries', (t) => {
+  setup({
+    interval: 100,
+    concurrent: 10,
+    maxRetries: 5,
+    hooks: {
+      throttled: {
+        concurrent: 1,
+        maxRetries: 1,
+        actions: ['one', 'two', 'three']
+      }
+    }
+  }, (server, store, done) => {
+    let running = 0;
+    let maxRunning = 0;
+    const action = (data, callback) => {
+      running++;
+      maxRunning = Math.max(running, maxRunning);
+      setTimeout(() => {
+        running--;
+        callback(new Error('failed'));
+      }, 20);
+    };
+    server.method('one', action);
+    server.method('two', action);
+    server.method('three', action);
+    server.events.on('hook:aborted', (outcome) => {
+      t.equal(maxRunning, 1, 'runs one action at a time');
+      t.equal(outcome.hook.runCount, 1, 'aborts after the hook\'s maxRetries');
+      done(t);
+    });
+    server.methods.hook('throttled', {}, { hookId: 'throttled-1' });
+  });
+});
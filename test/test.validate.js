@@ -0,0 +1,66 @@
+const setup = require('./setup.js');
+const tap = require('tap');
+const Joi = require('joi');
+
+tap.test('rejects hook data that does not match the hook\'s validate schema', (t) => {
+  setup({
+    hooks: {
+      'create user': {
+        actions: ['addUser'],
+        validate: Joi.object({
+          email: Joi.string().email().required(),
+          age: Joi.number().default(21)
+        })
+      }
+    }
+  }, (server, store, done) => {
+    server.methods.hook('create user', { email: 'not an email' }, { hookId: 'bad-user' })
+      .catch(err => {
+        t.match(err.message, /^Invalid data for hook 'create user': .*email/);
+        t.equal(err.details[0].path[0], 'email', 'keeps the Joi details');
+        return server.methods.hook('create user', { email: 'bob@bob.com' }, { hookId: 'good-user' });
+      })
+      .then(() => {
+        store.find({}, (err, hooks) => {
+          t.error(err);
+          t.equal(hooks.length, 1, 'only stores valid hooks');
+          t.deepEqual(hooks[0].hookData, { email: 'bob@bob.com', age: 21 }, 'stores the validated data');
+          done(t);
+        });
+      });
+  });
+});
+
+tap.test('validateActions checks the merged data before each action runs', (t) => {
+  setup({
+    interval: 100,
+    retry: { delay: 60000 },
+    hooks: {
+      'create user': {
+        mode: 'pipeline',
+        validateActions: true,
+        actions: ['addUser', 'emailUser'],
+        validate: Joi.object({
+          email: Joi.string().email().required(),
+          userId: Joi.number()
+        })
+      }
+    }
+  }, (server, store, done) => {
+    const called = [];
+    server.method('addUser', (data, callback) => {
+      called.push('addUser');
+      callback(null, { userId: 'not a number' });
+    });
+    server.method('emailUser', (data, callback) => {
+      called.push('emailUser');
+      callback();
+    });
+    server.events.on('hook:complete', (outcome) => {
+      t.deepEqual(called, ['addUser'], 'does not call an action with invalid data');
+      t.match(outcome.results[1].error, /^Invalid data for action 'emailUser': .*userId/);
+      done(t);
+    });
+    server.methods.hook('create user', { email: 'bob@bob.com' }, { hookId: 'user-1' });
+  });
+});
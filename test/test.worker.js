@@ -0,0 +1,92 @@
+const setup = require('./setup.js');
+const tap = require('tap');
+const Hapi = require('hapi');
+const hapiHooks = require('../');
+
+tap.test('producers only queue hooks until their worker loop is started', (t) => {
+  setup({
+    interval: 50,
+    mode: 'producer',
+    hooks: {
+      'send email': ['sendEmail']
+    }
+  }, (server, store, done) => {
+    const sent = [];
+    server.method('sendEmail', (data, callback) => {
+      sent.push(data.to);
+      callback();
+    });
+
+    server.methods.hook('send email', { to: 'bob' }, { hookId: 'bob' })
+      .then(() => new Promise(resolve => setTimeout(resolve, 200)))
+      .then(() => store.find({}, (err, hooks) => {
+        t.error(err);
+        t.deepEqual(sent, [], 'does not run hooks');
+        t.equal(hooks[0].status, 'waiting', 'leaves them in the queue');
+
+        server.events.on('hook:complete', () => {
+          t.deepEqual(sent, ['bob'], 'runs hooks once the worker is started');
+          done(t);
+        });
+
+        server.methods.startWorker().then(started => t.equal(started, true));
+      }));
+  });
+});
+
+tap.test('the worker loop can be stopped and started again', (t) => {
+  setup({
+    interval: 50,
+    hooks: {
+      'send email': ['sendEmail']
+    }
+  }, (server, store, done) => {
+    const sent = [];
+    server.method('sendEmail', (data, callback) => {
+      sent.push(data.to);
+      callback();
+    });
+
+    server.methods.stopWorker()
+      .then(stopped => {
+        t.equal(stopped, true, 'stops a running worker');
+        return server.methods.stopWorker();
+      })
+      .then(stopped => {
+        t.equal(stopped, false, 'resolves to false if it was already stopped');
+        // let a poll that was already under way finish:
+        return new Promise(resolve => setTimeout(resolve, 100));
+      })
+      .then(() => server.methods.hook('send email', { to: 'sven' }, { hookId: 'sven' }))
+      .then(() => new Promise(resolve => setTimeout(resolve, 200)))
+      .then(() => {
+        t.deepEqual(sent, [], 'does not run hooks while stopped');
+        server.methods.startWorker((err, started) => {
+          t.error(err);
+          t.equal(started, true, 'supports callbacks');
+        });
+        return new Promise(resolve => setTimeout(resolve, 200));
+      })
+      .then(() => {
+        t.deepEqual(sent, ['sven'], 'runs hooks once it is started again');
+        done(t);
+      });
+  });
+});
+
+tap.test('fails to register with an unknown mode', (t) => {
+  const server = new Hapi.Server();
+  server.register({
+    plugin: hapiHooks,
+    options: {
+      store: hapiHooks.stores.memory(),
+      mode: 'consumer'
+    }
+  }).then(() => {
+    t.fail('should not register');
+    t.end();
+  }, (err) => {
+    t.match(err.message, "Invalid mode 'consumer'");
+    t.end();
+  });
+});